@@ -4,7 +4,10 @@
  * Routes:
  *   /           → DashboardHome (three-panel: VIN/Part/Marcus)
  *   /results    → ResultsPage (Kayak-style parts list with margins)
+ *   /cart       → CartPage (draft repair orders, one per vehicle)
  *   /orders     → OrderHistory (searchable order table)
+ *   /orders/:id → OrderDetail (status workflow + timeline)
+ *   /estimate/:id → EstimatePage (printable customer estimate, cart or order)
  *   /settings   → Settings (shop profile, margin rules, brand prefs)
  *   /login      → LoginPage (auth gate)
  * 
@@ -18,7 +21,10 @@ import ShopHeader from './components/ShopHeader';
 import LoginPage from './components/LoginPage';
 import DashboardHome from './components/DashboardHome';
 import ResultsPage from './components/ResultsPage';
+import CartPage from './components/CartPage';
 import OrderHistory from './components/OrderHistory';
+import OrderDetail from './components/OrderDetail';
+import EstimatePage from './components/EstimatePage';
 import PreferencesPage from './components/PreferencesPage';
 import SettingsPage from './components/SettingsPage';
 
@@ -51,12 +57,15 @@ export default function App() {
         path="/*"
         element={
           <AuthGate>
-            <div className="min-h-screen bg-gray-50">
+            <div className="min-h-screen bg-gray-50 print:bg-white">
               <ShopHeader />
               <Routes>
                 <Route path="/" element={<DashboardHome />} />
                 <Route path="/results" element={<ResultsPage />} />
+                <Route path="/cart" element={<CartPage />} />
                 <Route path="/orders" element={<OrderHistory />} />
+                <Route path="/orders/:id" element={<OrderDetail />} />
+                <Route path="/estimate/:id" element={<EstimatePage />} />
                 <Route path="/preferences" element={<PreferencesPage />} />
                 <Route path="/settings" element={<SettingsPage />} />
                 <Route path="*" element={<Navigate to="/" replace />} />
@@ -0,0 +1,333 @@
+/**
+ * CartPage — Draft repair orders, one per vehicle.
+ *
+ * Parts added from ResultsPage land here (cart state lives in ShopContext
+ * and survives reloads). Each vehicle card shows:
+ *   - RO number (typed from the shop's SMS, or generated on submit)
+ *   - Line items with quantity stepper, cost, list, margin, taxable toggle;
+ *     a line below its pair/set quantity (one rotor, one strut) is flagged
+ *   - Running totals for the RO, then what the customer pays: shop
+ *     supplies, fees and sales tax (utils/orderTotals), with a tax-exempt
+ *     switch per RO
+ *   - Estimate — opens the printable customer estimate (/estimate/draft)
+ *   - Submit — POSTs each line to /api/b2b/orders with the RO's shared
+ *     ro_number; lines that went through leave the draft, so a retry after
+ *     a failure only sends the rest under the same RO number
+ *
+ * Line request: { ro_number, vehicle_context, tax_exempt, ...line payload }
+ */
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useShop } from '../context/ShopContext';
+import API from '../config/api';
+import {
+  groupLinesByVehicle,
+  generateRoNumber,
+  buildOrderLinePayload,
+} from '../utils/cart';
+import { calculateOrderTotals, getShopTotalsSettings, isLineTaxable } from '../utils/orderTotals';
+import { formatVehicleLabel } from '../utils/vehicle';
+
+export default function CartPage() {
+  const {
+    shop,
+    session,
+    cart,
+    updateCartLine,
+    removeFromCart,
+    setCartRoNumber,
+    setCartTaxExempt,
+    clearCartVehicle,
+  } = useShop();
+  const navigate = useNavigate();
+  const accentColor = shop?.accent_color || '#dc2626';
+  const token = session?.access_token;
+
+  const [submitting, setSubmitting] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const groups = groupLinesByVehicle(cart.lines);
+  const totalsSettings = getShopTotalsSettings(shop);
+
+  // ── Submit one vehicle's draft as a single RO ───────────────────
+  const handleSubmit = async (group) => {
+    if (!token) return;
+    const roNumber = (cart.roNumbers[group.vehicleKey] || '').trim() || generateRoNumber();
+    const taxExempt = !!cart.taxExempt?.[group.vehicleKey];
+
+    try {
+      setSubmitting(group.vehicleKey);
+      setMessage(null);
+      setCartRoNumber(group.vehicleKey, roNumber);
+
+      for (const line of group.lines) {
+        const res = await fetch(API.b2b.orders(), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+          body: JSON.stringify({
+            ...buildOrderLinePayload(line),
+            ro_number: roNumber,
+            vehicle_context: group.vehicle,
+            tax_exempt: taxExempt,
+          }),
+        });
+
+        if (!res.ok) {
+          const errData = await res.json().catch(() => ({}));
+          throw new Error(`${errData.error || 'Failed to submit repair order'} — ${line.brand} ${line.partName} and any lines after it are still on the draft`);
+        }
+        removeFromCart(line.lineId);
+      }
+
+      clearCartVehicle(group.vehicleKey);
+      setMessage({
+        type: 'success',
+        text: `${roNumber} submitted — ${group.lines.length} line${group.lines.length !== 1 ? 's' : ''} for ${formatVehicleLabel(group.vehicle) || 'no vehicle'}`,
+      });
+    } catch (err) {
+      console.error('[Cart] Submit error:', err);
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  const changeQuantity = (line, delta) => {
+    const next = line.quantity + delta;
+    if (next < 1) return;
+    updateCartLine(line.lineId, { quantity: next });
+  };
+
+  return (
+    <div className="max-w-screen-xl mx-auto px-6 py-8">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Draft Repair Orders</h1>
+        <p className="text-sm text-gray-400 mt-0.5">Parts added from search, grouped by vehicle</p>
+      </div>
+
+      {message && (
+        <div className={`mb-6 px-4 py-3 rounded-xl border text-sm font-medium ${
+          message.type === 'success'
+            ? 'bg-green-50 border-green-200 text-green-700'
+            : 'bg-red-50 border-red-200 text-red-600'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {groups.length === 0 ? (
+        <div className="bg-white rounded-2xl border border-gray-200 py-16 text-center">
+          <div className="text-3xl mb-3">🧾</div>
+          <p className="text-sm text-gray-500">No parts on a draft repair order</p>
+          <p className="text-xs text-gray-400 mt-1">Search for parts and click Add to start one.</p>
+          <button
+            onClick={() => navigate('/')}
+            className="mt-4 px-4 py-2 text-xs font-semibold text-white rounded-xl transition-all hover:opacity-90"
+            style={{ background: accentColor }}
+          >
+            Search Parts
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {groups.map((group) => {
+            const taxExempt = !!cart.taxExempt?.[group.vehicleKey];
+            const orderTotals = calculateOrderTotals(group.lines, totalsSettings, { taxExempt });
+            const totals = orderTotals.parts;
+            const vehicleStr = formatVehicleLabel(group.vehicle);
+            const isSubmitting = submitting === group.vehicleKey;
+
+            return (
+              <div key={group.vehicleKey} className="bg-white rounded-2xl border border-gray-200 overflow-hidden">
+                {/* ── Vehicle + RO header ─────────────────────────────── */}
+                <div className="px-5 py-4 flex items-center justify-between gap-4 border-b border-gray-200">
+                  <div className="min-w-0">
+                    <div className="text-base font-bold text-gray-900 truncate">{vehicleStr || 'No vehicle'}</div>
+                    {group.vehicle?.vin && (
+                      <div className="text-[11px] font-mono text-gray-400">{group.vehicle.vin}</div>
+                    )}
+                  </div>
+                  <div className="flex items-end gap-3">
+                    <div>
+                      <label className="block text-[11px] text-gray-500 font-medium mb-1">RO Number</label>
+                      <input
+                        type="text"
+                        value={cart.roNumbers[group.vehicleKey] || ''}
+                        onChange={(e) => setCartRoNumber(group.vehicleKey, e.target.value)}
+                        placeholder="Auto-generate"
+                        className="w-40 px-3 py-2 text-sm font-mono border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all"
+                      />
+                    </div>
+                    <button
+                      onClick={() => navigate(`/estimate/draft?vehicle=${encodeURIComponent(group.vehicleKey)}`)}
+                      className="px-3 py-2 text-xs font-semibold text-gray-600 bg-gray-50 hover:bg-gray-100 border border-gray-200 rounded-xl transition-colors"
+                    >
+                      Estimate
+                    </button>
+                    <button
+                      onClick={() => handleSubmit(group)}
+                      disabled={isSubmitting}
+                      className="px-4 py-2 text-xs font-semibold text-white rounded-xl transition-all hover:opacity-90 disabled:opacity-50"
+                      style={{ background: accentColor }}
+                    >
+                      {isSubmitting ? 'Submitting...' : 'Submit RO'}
+                    </button>
+                  </div>
+                </div>
+
+                {/* ── Lines ───────────────────────────────────────────── */}
+                <div className="px-5 py-2 flex items-center gap-4 border-b border-gray-100 bg-gray-50/50 text-[10px] font-semibold text-gray-400 uppercase tracking-wider">
+                  <div className="flex-1">Part</div>
+                  <div className="w-24 text-right">Vendor</div>
+                  <div className="w-24 text-center">Qty</div>
+                  <div className="w-20 text-right">Cost</div>
+                  <div className="w-20 text-right">List</div>
+                  <div className="w-20 text-right">Margin</div>
+                  <div className="w-8" />
+                </div>
+                <div className="divide-y divide-gray-100">
+                  {group.lines.map((line) => {
+                    const lineMargin = (line.listPrice - line.cost) * line.quantity;
+                    return (
+                      <div key={line.lineId} className="px-5 py-3 flex items-center gap-4">
+                        <div className="flex-1 min-w-0">
+                          <div className="text-sm font-semibold text-gray-800 truncate">{line.partName}</div>
+                          <div className="flex items-center gap-2 text-xs text-gray-400">
+                            <span className="font-medium text-gray-600">{line.brand}</span>
+                            {line.partNumber && (
+                              <>
+                                <span>·</span>
+                                <span className="font-mono text-[11px]">{line.partNumber}</span>
+                              </>
+                            )}
+                            {line.packQuantity > 1 && (
+                              <>
+                                <span>·</span>
+                                <span title={`Each line quantity is a pack of ${line.packQuantity}`}>pack of {line.packQuantity}</span>
+                              </>
+                            )}
+                            {line.priceLevel && (
+                              <span className="text-[10px] px-1.5 py-0.5 bg-blue-50 text-blue-700 border border-blue-200 rounded-full font-medium">
+                                {line.priceLevel} pricing
+                              </span>
+                            )}
+                            {line.coreCharge > 0 && (
+                              <span
+                                className="text-[10px] px-1.5 py-0.5 bg-amber-50 text-amber-700 border border-amber-200 rounded-full font-medium"
+                                title="Refundable core deposit included in cost — return the old part for credit"
+                              >
+                                ${line.coreCharge.toFixed(2)} core
+                              </span>
+                            )}
+                            {line.quantity < (line.suggestedQuantity || 1) && (
+                              <button
+                                onClick={() => updateCartLine(line.lineId, { quantity: line.suggestedQuantity })}
+                                className="text-[10px] px-1.5 py-0.5 bg-amber-50 text-amber-700 border border-amber-200 rounded-full font-medium hover:bg-amber-100"
+                                title="Usually replaced in pairs or sets — click to set the quantity"
+                              >
+                                ⚠ usually ×{line.suggestedQuantity}
+                              </button>
+                            )}
+                            <button
+                              onClick={() => updateCartLine(line.lineId, { taxable: !isLineTaxable(line) })}
+                              className={`text-[10px] px-1.5 py-0.5 rounded-full border font-medium transition-colors ${
+                                isLineTaxable(line)
+                                  ? 'border-transparent text-gray-300 hover:text-gray-500 hover:border-gray-200'
+                                  : 'border-gray-200 bg-gray-50 text-gray-600'
+                              }`}
+                              title={isLineTaxable(line) ? 'Sales tax applies — click to mark non-taxable' : 'Not taxed — click to tax this line'}
+                            >
+                              {isLineTaxable(line) ? 'taxable' : 'no tax'}
+                            </button>
+                          </div>
+                        </div>
+                        <div className="w-24 text-right text-xs font-medium text-gray-700 truncate">{line.vendor}</div>
+                        <div className="w-24 flex items-center justify-center gap-1">
+                          <button
+                            onClick={() => changeQuantity(line, -1)}
+                            disabled={line.quantity <= 1}
+                            className="w-6 h-6 text-xs font-bold text-gray-500 border border-gray-200 rounded-md hover:bg-gray-100 disabled:opacity-30"
+                          >
+                            −
+                          </button>
+                          <span className="w-6 text-center text-sm font-semibold text-gray-800 font-mono">{line.quantity}</span>
+                          <button
+                            onClick={() => changeQuantity(line, 1)}
+                            className="w-6 h-6 text-xs font-bold text-gray-500 border border-gray-200 rounded-md hover:bg-gray-100"
+                          >
+                            +
+                          </button>
+                        </div>
+                        <div className="w-20 text-right text-sm font-semibold text-gray-900 font-mono">${(line.cost * line.quantity).toFixed(2)}</div>
+                        <div className="w-20 text-right text-sm font-medium text-gray-600 font-mono">${(line.listPrice * line.quantity).toFixed(2)}</div>
+                        <div className="w-20 text-right text-sm font-bold text-green-600 font-mono">+${lineMargin.toFixed(2)}</div>
+                        <div className="w-8 text-right">
+                          <button
+                            onClick={() => removeFromCart(line.lineId)}
+                            className="text-gray-300 hover:text-red-500 transition-colors text-sm"
+                            title="Remove from repair order"
+                          >
+                            ✕
+                          </button>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+
+                {/* ── Totals ──────────────────────────────────────────── */}
+                <div className="px-5 py-3 bg-gray-50/50 border-t border-gray-200 flex items-center gap-4">
+                  <div className="flex-1 text-xs text-gray-400">Parts</div>
+                  <div className="w-24" />
+                  <div className="w-24 text-center text-sm font-semibold text-gray-800 font-mono">{totals.quantity}</div>
+                  <div className="w-20 text-right text-sm font-bold text-gray-900 font-mono">${totals.cost.toFixed(2)}</div>
+                  <div className="w-20 text-right text-sm font-bold text-gray-700 font-mono">${totals.list.toFixed(2)}</div>
+                  <div className="w-20 text-right">
+                    <div className="text-sm font-bold text-green-600 font-mono">+${totals.margin.toFixed(2)}</div>
+                    <div className="text-[10px] font-medium text-green-500 font-mono">{totals.marginPct.toFixed(0)}%</div>
+                  </div>
+                  <div className="w-8" />
+                </div>
+
+                {/* ── Customer total ──────────────────────────────────── */}
+                <div className="px-5 py-3 border-t border-gray-100 flex items-start justify-between gap-4">
+                  <label className="flex items-center gap-2 text-xs text-gray-500">
+                    <input
+                      type="checkbox"
+                      checked={taxExempt}
+                      onChange={(e) => setCartTaxExempt(group.vehicleKey, e.target.checked)}
+                    />
+                    Tax-exempt customer
+                  </label>
+                  <div className="w-64 space-y-1 text-xs text-gray-500">
+                    {orderTotals.supplies > 0 && (
+                      <div className="flex justify-between">
+                        <span>Shop supplies ({totalsSettings.suppliesPct}%)</span>
+                        <span className="font-mono">${orderTotals.supplies.toFixed(2)}</span>
+                      </div>
+                    )}
+                    {orderTotals.fees.map((fee) => (
+                      <div key={fee.id || fee.name} className="flex justify-between">
+                        <span>{fee.name}{fee.quantity > 1 && ` × ${fee.quantity}`}</span>
+                        <span className="font-mono">${fee.amount.toFixed(2)}</span>
+                      </div>
+                    ))}
+                    <div className="flex justify-between">
+                      <span>{taxExempt ? 'Tax (exempt)' : `Tax (${orderTotals.taxRate}%)`}</span>
+                      <span className="font-mono">${orderTotals.tax.toFixed(2)}</span>
+                    </div>
+                    <div className="flex justify-between pt-1 border-t border-gray-200 text-sm font-bold text-gray-900">
+                      <span>Customer total</span>
+                      <span className="font-mono">${orderTotals.total.toFixed(2)}</span>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
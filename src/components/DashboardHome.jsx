@@ -3,6 +3,7 @@
  * 
  * Flow:
  *   1. VEHICLE FIRST — Decode via VIN, License Plate, or Year/Make/Model dropdowns
+ *      (VINs are checked offline first — check digit, model year, WMI — see utils/vin)
  *   2. Once vehicle is set, Part Search and Marcus panels unlock
  *   3. Part selection opens RelatedPartsDrawer for position + related parts
  *   4. Multi-part search navigates to grouped results
@@ -10,7 +11,13 @@
  * Panels:
  *   1. Vehicle Lookup (VIN + License Plate + Year/Make/Model toggle)
  *   2. Part Search (text search + category browser) — requires vehicle
- *   3. Ask Marcus (AI diagnosis) — requires vehicle
+ *   3. Ask Marcus (multi-turn AI diagnosis via MarcusChat) — requires vehicle
+ * 
+ * Active Vehicle Bar: current vehicle, recent-vehicles switcher, Change Vehicle
+ * (the active vehicle and recents persist per user via ShopContext).
+ * 
+ * Keyboard: V (vehicle lookup), P (part search), M (Ask Marcus) — via useHotkeys,
+ * ignored while typing.
  * 
  * Bottom sections:
  *   - Recent Searches (from /api/b2b/search-history)
@@ -19,7 +26,7 @@
  * Top: Time-aware greeting + live daily stats from /api/b2b/analytics/today
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useShop } from '../context/ShopContext';
 import PART_CATEGORIES from '../config/partCategories';
@@ -28,6 +35,13 @@ import RelatedPartsDrawer from './RelatedPartsDrawer';
 import API from '../config/api';
 import { getPartIcon } from '../config/partIcons.js';
 import MarcusAvatar from './MarcusAvatar';
+import MarcusChat from './MarcusChat';
+import VehicleSwitcher from './VehicleSwitcher';
+import PriceLevelSelect from './PriceLevelSelect';
+import useHotkeys from '../hooks/useHotkeys';
+import { decodeVinLocally } from '../utils/vin';
+import { buildResultsUrl } from '../utils/resultsUrl';
+import { statusBadge, getOrderMargin } from '../config/orderStatus';
 
 const US_STATES = [
   'AL','AK','AZ','AR','CA','CO','CT','DE','FL','GA','HI','ID','IL','IN','IA','KS','KY','LA','ME','MD',
@@ -53,21 +67,6 @@ function timeAgo(dateString) {
   return `${diffDay}d ago`;
 }
 
-/**
- * Map order status to display badge style.
- */
-function statusBadge(status) {
-  const map = {
-    selected:  { label: 'Selected',  bg: 'bg-gray-50',   text: 'text-gray-600',  border: 'border-gray-200' },
-    ordered:   { label: 'Ordered',   bg: 'bg-blue-50',   text: 'text-blue-700',  border: 'border-blue-200' },
-    shipped:   { label: 'Shipped',   bg: 'bg-amber-50',  text: 'text-amber-700', border: 'border-amber-200' },
-    delivered: { label: 'Delivered', bg: 'bg-green-50',  text: 'text-green-700', border: 'border-green-200' },
-    installed: { label: 'Installed', bg: 'bg-emerald-50',text: 'text-emerald-700',border: 'border-emerald-200' },
-    cancelled: { label: 'Cancelled', bg: 'bg-red-50',    text: 'text-red-600',   border: 'border-red-200' },
-  };
-  return map[status] || map.selected;
-}
-
 export default function DashboardHome() {
   const { shop, vehicle, setVehicleContext, clearVehicle, session } = useShop();
   const navigate = useNavigate();
@@ -110,9 +109,6 @@ export default function DashboardHome() {
   const [drawerOpen, setDrawerOpen] = useState(false);
   const [drawerPartLabel, setDrawerPartLabel] = useState('');
 
-  // ── Marcus state ────────────────────────────────────────────────
-  const [marcusInput, setMarcusInput] = useState('');
-
   // ── Dashboard data state ────────────────────────────────────────
   const [stats, setStats] = useState({ searches: 0, orders: 0, revenue: 0, avgMarginPct: 0 });
   const [recentSearches, setRecentSearches] = useState([]);
@@ -374,8 +370,12 @@ export default function DashboardHome() {
   };
 
   // ── VIN / Plate decode ──────────────────────────────────────────
+  // Offline check before any round trip; null until 17 characters
+  const vinCheck = useMemo(() => decodeVinLocally(vinInput), [vinInput]);
+  const vinBlocked = !!vinCheck && !vinCheck.checkDigitValid && vinCheck.checkDigitRequired;
+
   const handleVehicleDecode = useCallback(async () => {
-    if (vehicleLookupMode === 'vin' && vinInput.length < 17) return;
+    if (vehicleLookupMode === 'vin' && (vinInput.length < 17 || vinBlocked)) return;
     if (vehicleLookupMode === 'plate' && plateInput.length < 2) return;
 
     setVehicleLoading(true);
@@ -393,7 +393,12 @@ export default function DashboardHome() {
         });
       }
 
-      if (!response.ok) throw new Error('Vehicle not found. Please check and try again.');
+      if (!response.ok) {
+        if (vehicleLookupMode === 'vin' && vinCheck?.manufacturer && vinCheck.modelYear) {
+          throw new Error(`Couldn't decode this VIN (looks like a ${vinCheck.modelYear} ${vinCheck.manufacturer}). Try Year/Make/Model.`);
+        }
+        throw new Error('Vehicle not found. Please check and try again.');
+      }
 
       const data = await response.json();
       const vehicleData = data.vehicle || data;
@@ -413,7 +418,7 @@ export default function DashboardHome() {
     } finally {
       setVehicleLoading(false);
     }
-  }, [vehicleLookupMode, vinInput, plateInput, plateState, setVehicleContext]);
+  }, [vehicleLookupMode, vinInput, vinCheck, vinBlocked, plateInput, plateState, setVehicleContext]);
 
   // ── Change vehicle ──────────────────────────────────────────────
   const handleChangeVehicle = () => {
@@ -426,36 +431,12 @@ export default function DashboardHome() {
   };
 
   // ── Navigate to results (single or multi-part) ─────────────────
-  const goToResults = useCallback((query, isMarcus = false) => {
-    const params = new URLSearchParams();
-    if (isMarcus) {
-      params.set('marcus', query);
-    } else {
-      params.set('q', query);
-    }
-    if (vehicle) {
-      if (vehicle.year) params.set('year', vehicle.year);
-      if (vehicle.make) params.set('make', vehicle.make);
-      if (vehicle.model) params.set('model', vehicle.model);
-      if (vehicle.vin) params.set('vin', vehicle.vin);
-    }
-    navigate(`/results?${params.toString()}`);
+  const goToResults = useCallback((query) => {
+    navigate(buildResultsUrl([{ query }], vehicle));
   }, [navigate, vehicle]);
 
-  const goToMultiPartResults = useCallback((queries) => {
-    const params = new URLSearchParams();
-    params.set('q', queries[0].query);
-    if (queries.length > 1) {
-      params.set('parts', JSON.stringify(queries.map((q) => q.query)));
-      params.set('labels', JSON.stringify(queries.map((q) => q.label)));
-    }
-    if (vehicle) {
-      if (vehicle.year) params.set('year', vehicle.year);
-      if (vehicle.make) params.set('make', vehicle.make);
-      if (vehicle.model) params.set('model', vehicle.model);
-      if (vehicle.vin) params.set('vin', vehicle.vin);
-    }
-    navigate(`/results?${params.toString()}`);
+  const goToMultiPartResults = useCallback((queries, marcusSummary = null) => {
+    navigate(buildResultsUrl(queries, vehicle, marcusSummary));
   }, [navigate, vehicle]);
 
   // ── Part selection → opens drawer or goes direct ────────────────
@@ -480,23 +461,32 @@ export default function DashboardHome() {
     }
   };
 
+  // One query or several — either way its pair/set quantities go along
   const handleDrawerSearch = (queries) => {
     setDrawerOpen(false);
-    if (queries.length === 1) {
-      goToResults(queries[0].query);
-    } else {
-      goToMultiPartResults(queries);
-    }
+    goToMultiPartResults(queries);
   };
 
-  const handleMarcusSubmit = () => {
-    if (!marcusInput.trim()) return;
-    goToResults(marcusInput, true);
+  // Marcus chat hands off its proposed parts as a multi-part search
+  const handleMarcusSearch = (queries, summary) => {
+    if (queries.length === 0) return;
+    goToMultiPartResults(queries, summary);
   };
 
   // ── Derived state ───────────────────────────────────────────────
   const hasVehicle = !!vehicle;
-  const vinOrPlateValid = vehicleLookupMode === 'vin' ? vinInput.length >= 17 : plateInput.length >= 2;
+
+  // ── Keyboard shortcuts (hints rendered at the bottom) ───────────
+  useHotkeys({
+    v: () => (hasVehicle ? handleChangeVehicle() : setActivePanel('vehicle')),
+    p: () => {
+      if (!hasVehicle) { setActivePanel('vehicle'); return; }
+      setPartSearchMode('search');
+      setActivePanel('part');
+    },
+    m: () => setActivePanel(hasVehicle ? 'marcus' : 'vehicle'),
+  }, !drawerOpen);
+  const vinOrPlateValid = vehicleLookupMode === 'vin' ? vinInput.length >= 17 && !vinBlocked : plateInput.length >= 2;
   const ymmValid = selectedYear && selectedMake && selectedModel;
 
   const LockedOverlay = () => (
@@ -515,10 +505,7 @@ export default function DashboardHome() {
   );
 
   // ── Compute recent orders margin total ──────────────────────────
-  const recentOrdersMarginTotal = recentOrders.reduce((sum, o) => {
-    const margin = (o.margin_amount != null) ? o.margin_amount : ((o.list_price || 0) - (o.cost || 0));
-    return sum + margin;
-  }, 0);
+  const recentOrdersMarginTotal = recentOrders.reduce((sum, o) => sum + getOrderMargin(o), 0);
 
   return (
     <div className="max-w-screen-xl mx-auto px-6 py-8">
@@ -574,12 +561,16 @@ export default function DashboardHome() {
               </div>
             </div>
           </div>
-          <button
-            onClick={handleChangeVehicle}
-            className="px-4 py-2 text-xs font-semibold text-gray-500 hover:text-gray-800 bg-gray-50 hover:bg-gray-100 border border-gray-200 rounded-xl transition-colors"
-          >
-            Change Vehicle
-          </button>
+          <div className="flex items-center gap-2">
+            <PriceLevelSelect vehicle={vehicle} />
+            <VehicleSwitcher variant="bar" />
+            <button
+              onClick={handleChangeVehicle}
+              className="px-4 py-2 text-xs font-semibold text-gray-500 hover:text-gray-800 bg-gray-50 hover:bg-gray-100 border border-gray-200 rounded-xl transition-colors"
+            >
+              Change Vehicle
+            </button>
+          </div>
         </div>
       )}
 
@@ -679,6 +670,40 @@ export default function DashboardHome() {
                     </div>
                   )}
 
+                  {/* Offline VIN check */}
+                  {vehicleLookupMode === 'vin' && vinCheck && (
+                    vinCheck.checkDigitValid ? (
+                      <p className="text-[11px] text-green-600">
+                        ✓ {[vinCheck.modelYear, vinCheck.manufacturer || vinCheck.region].filter(Boolean).join(' · ')}
+                      </p>
+                    ) : (
+                      <div className={`px-3 py-2 rounded-xl border text-[11px] ${
+                        vinCheck.checkDigitRequired
+                          ? 'bg-amber-50 border-amber-200 text-amber-800'
+                          : 'bg-gray-50 border-gray-200 text-gray-500'
+                      }`}>
+                        {vinCheck.checkDigitRequired ? (
+                          <>
+                            Check digit invalid —{' '}
+                            {vinCheck.typo
+                              ? `likely typo at position ${vinCheck.typo.positions.join(' or ')}`
+                              : 'recheck each character against the vehicle'}
+                            {vinCheck.typo?.suggestion && (
+                              <button
+                                onClick={() => setVinInput(vinCheck.typo.suggestion)}
+                                className="ml-1 font-mono font-semibold underline underline-offset-2 hover:text-amber-900"
+                              >
+                                Use {vinCheck.typo.suggestion}?
+                              </button>
+                            )}
+                          </>
+                        ) : (
+                          `Check digit doesn't validate — normal for some ${vinCheck.region || 'non-US'} VINs, decoding anyway`
+                        )}
+                      </div>
+                    )
+                  )}
+
                   {vehicleLookupMode === 'plate' && (
                     <div className="flex gap-2">
                       <input
@@ -892,26 +917,8 @@ export default function DashboardHome() {
                 </div>
               )
             ) : activePanel === 'marcus' ? (
-              <div className="mt-4 space-y-3" onClick={(e) => e.stopPropagation()}>
-                <textarea
-                  value={marcusInput}
-                  onChange={(e) => setMarcusInput(e.target.value)}
-                  onKeyDown={(e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); handleMarcusSubmit(); } }}
-                  placeholder={"Describe the customer's issue...\n\ne.g. Grinding noise from front when braking at low speed. Started last week."}
-                  className="w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all resize-none"
-                  rows={4}
-                  autoFocus
-                />
-                <button onClick={handleMarcusSubmit} disabled={!marcusInput.trim()} className="w-full py-2.5 rounded-xl text-sm font-semibold text-white transition-all disabled:opacity-30" style={{ background: accentColor }}>
-                  Ask Marcus →
-                </button>
-                <div className="flex flex-wrap gap-1.5">
-                  {['Brake noise', 'Check engine light', 'A/C not cold', 'Overheating', "Won't start", 'P0420 code'].map((q) => (
-                    <button key={q} onClick={() => setMarcusInput(q)} className="px-2.5 py-1 text-[11px] text-gray-500 bg-gray-50 hover:bg-gray-100 border border-gray-200 rounded-full transition-colors">
-                      {q}
-                    </button>
-                  ))}
-                </div>
+              <div onClick={(e) => e.stopPropagation()}>
+                <MarcusChat vehicle={vehicle} accentColor={accentColor} onSearch={handleMarcusSearch} />
               </div>
             ) : (
               <div className="mt-2 px-3 py-2 bg-gray-50 rounded-lg border border-gray-100">
@@ -1043,12 +1050,14 @@ export default function DashboardHome() {
                   const vehicleStr = vc.year && vc.make && vc.model
                     ? `${vc.year} ${vc.make} ${vc.model}`
                     : null;
-                  const margin = (order.margin_amount != null)
-                    ? order.margin_amount
-                    : ((order.list_price || 0) - (order.cost || 0));
+                  const margin = getOrderMargin(order);
 
                   return (
-                    <div key={order.id} className="py-3">
+                    <div
+                      key={order.id}
+                      onClick={() => navigate(`/orders/${order.id}`)}
+                      className="py-3 cursor-pointer hover:bg-gray-50/50 transition-colors"
+                    >
                       <div className="flex items-start justify-between">
                         <div className="min-w-0 flex-1">
                           {order.ro_number && (
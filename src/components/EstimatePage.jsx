@@ -0,0 +1,289 @@
+/**
+ * EstimatePage — Printable, shop-branded customer estimate.
+ *
+ * Route: /estimate/:id
+ *   /estimate/draft?vehicle=<vehicleKey> → lines from the draft repair order (cart)
+ *   /estimate/<orderId>                  → every line on that order's RO
+ *                                          (GET /api/b2b/orders?ro_number=...)
+ *
+ * Customer-facing: shows list price only — never cost or margin.
+ * Totals (shop supplies, fees, sales tax at shop.tax_rate) come from
+ * utils/orderTotals — the same numbers CartPage shows. Tax-exempt ROs
+ * show the tax line as exempt.
+ * Styled for browser print-to-PDF; the app header and toolbar are
+ * hidden when printing.
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams, useSearchParams, useNavigate } from 'react-router-dom';
+import { useShop } from '../context/ShopContext';
+import API from '../config/api';
+import { groupLinesByVehicle } from '../utils/cart';
+import { calculateOrderTotals, getShopTotalsSettings } from '../utils/orderTotals';
+import { formatVehicleLabel } from '../utils/vehicle';
+
+const RO_PAGE_SIZE = 100;
+
+/**
+ * Map an /api/b2b/orders row to an estimate line.
+ */
+function orderRowToLine(order) {
+  return {
+    lineId: order.id,
+    partName: order.part_name,
+    partNumber: order.part_number,
+    brand: order.brand,
+    partType: order.part_type || null,
+    quantity: order.quantity || 1,
+    listPrice: order.list_price || 0,
+    taxable: order.taxable !== false,
+  };
+}
+
+export default function EstimatePage() {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { shop, session, cart } = useShop();
+  const accentColor = shop?.accent_color || '#dc2626';
+  const token = session?.access_token;
+  const isDraft = id === 'draft';
+  const draftVehicleKey = searchParams.get('vehicle');
+
+  const [orderEstimate, setOrderEstimate] = useState(null);
+  const [loading, setLoading] = useState(!isDraft);
+  const [error, setError] = useState(null);
+
+  // ── Load a submitted order (and its RO siblings) ────────────────
+  useEffect(() => {
+    if (isDraft) return;
+    if (!token) {
+      // Loads again (clearing this) once a session arrives
+      setError('Sign in to view this estimate');
+      setLoading(false);
+      return;
+    }
+    const controller = new AbortController();
+    const headers = { Authorization: `Bearer ${token}` };
+
+    const fetchOrder = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const res = await fetch(API.b2b.order(id), { headers, signal: controller.signal });
+        if (!res.ok) throw new Error(res.status === 404 ? 'Order not found' : 'Failed to load order');
+        const data = await res.json();
+        const order = data.order || data;
+
+        let rows = [order];
+        if (order.ro_number) {
+          // Every line on the RO, filtered by ro_number on the server and
+          // paged until the reported total is in
+          const siblings = [];
+          for (let page = 1; ; page += 1) {
+            const params = new URLSearchParams({ ro_number: order.ro_number, page: String(page), limit: String(RO_PAGE_SIZE) });
+            const roRes = await fetch(`${API.b2b.orders()}?${params}`, { headers, signal: controller.signal });
+            if (!roRes.ok) throw new Error('Failed to load the repair order');
+            const roData = await roRes.json();
+            const pageRows = roData.orders || [];
+            siblings.push(...pageRows);
+            if (pageRows.length < RO_PAGE_SIZE || siblings.length >= (roData.total ?? Infinity)) break;
+          }
+          const active = siblings.filter((o) => o.status !== 'cancelled');
+          if (active.length > 0) rows = active;
+        }
+
+        setOrderEstimate({
+          roNumber: order.ro_number,
+          vehicle: order.vehicle_context || null,
+          date: order.created_at,
+          taxExempt: order.tax_exempt === true,
+          lines: rows.map(orderRowToLine),
+        });
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error('[Estimate] Fetch error:', err);
+        setError(err.message);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    fetchOrder();
+    return () => controller.abort();
+  }, [id, isDraft, token]);
+
+  // ── Draft estimate straight from the cart ───────────────────────
+  let estimate = orderEstimate;
+  if (isDraft) {
+    const group = groupLinesByVehicle(cart.lines).find((g) => g.vehicleKey === draftVehicleKey);
+    estimate = group
+      ? {
+        roNumber: cart.roNumbers[group.vehicleKey] || null,
+        vehicle: group.vehicle,
+        date: new Date().toISOString(),
+        taxExempt: !!cart.taxExempt?.[group.vehicleKey],
+        lines: group.lines,
+      }
+      : null;
+  }
+
+  if (loading) {
+    return (
+      <div className="py-24 text-center">
+        <div className="w-6 h-6 border-2 border-gray-200 border-t-gray-500 rounded-full animate-spin mx-auto mb-2" />
+        <p className="text-[11px] text-gray-400">Loading estimate...</p>
+      </div>
+    );
+  }
+
+  if (error || !estimate) {
+    return (
+      <div className="py-24 text-center">
+        <div className="text-3xl mb-3">🧾</div>
+        <p className="text-sm text-gray-500">{error || 'Nothing to estimate for this vehicle'}</p>
+        <button
+          onClick={() => navigate(isDraft ? '/cart' : '/orders')}
+          className="mt-4 px-4 py-2 text-xs font-semibold text-gray-600 bg-white hover:bg-gray-100 border border-gray-200 rounded-xl transition-colors"
+        >
+          ← Back
+        </button>
+      </div>
+    );
+  }
+
+  const safeShop = shop || {};
+  const settings = getShopTotalsSettings(safeShop);
+  const totals = calculateOrderTotals(estimate.lines, settings, { taxExempt: estimate.taxExempt });
+  const vehicleStr = formatVehicleLabel(estimate.vehicle);
+  const estimateDate = new Date(estimate.date).toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+  });
+
+  return (
+    <div className="max-w-3xl mx-auto px-6 py-8 print:p-0 print:max-w-none">
+      {/* ── Toolbar (screen only) ───────────────────────────────────── */}
+      <div className="flex items-center justify-between mb-4 print:hidden">
+        <button
+          onClick={() => navigate(-1)}
+          className="px-3 py-2 text-xs font-semibold text-gray-500 hover:text-gray-800 rounded-lg transition-colors"
+        >
+          ← Back
+        </button>
+        <button
+          onClick={() => window.print()}
+          className="px-4 py-2 text-xs font-semibold text-white rounded-xl transition-all hover:opacity-90"
+          style={{ background: accentColor }}
+        >
+          Print / Save PDF
+        </button>
+      </div>
+
+      {/* ── Estimate sheet ──────────────────────────────────────────── */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-10 print:border-0 print:rounded-none print:p-0">
+        {/* Shop branding */}
+        <div className="flex items-start justify-between pb-6 border-b-2" style={{ borderColor: accentColor }}>
+          <div className="flex items-center gap-4">
+            {safeShop.logo_url && (
+              <img src={safeShop.logo_url} alt={safeShop.shop_name} className="w-16 h-16 object-contain" />
+            )}
+            <div>
+              <div className="text-xl font-bold text-gray-900">{safeShop.shop_name}</div>
+              {safeShop.address && <div className="text-xs text-gray-500 mt-0.5">{safeShop.address}</div>}
+              {safeShop.phone && <div className="text-xs text-gray-500">{safeShop.phone}</div>}
+            </div>
+          </div>
+          <div className="text-right">
+            <div className="text-2xl font-bold uppercase tracking-wide" style={{ color: accentColor }}>Estimate</div>
+            <div className="text-xs text-gray-500 mt-1">{estimateDate}</div>
+            {estimate.roNumber && (
+              <div className="text-xs font-mono text-gray-600 mt-0.5">{estimate.roNumber}</div>
+            )}
+          </div>
+        </div>
+
+        {/* Vehicle */}
+        <div className="py-5 border-b border-gray-200">
+          <div className="text-[10px] font-semibold text-gray-400 uppercase tracking-wider mb-1">Vehicle</div>
+          <div className="text-sm font-semibold text-gray-900">{vehicleStr || '—'}</div>
+          {estimate.vehicle?.engine && <div className="text-xs text-gray-500">{estimate.vehicle.engine}</div>}
+          {estimate.vehicle?.vin && <div className="text-xs font-mono text-gray-500">VIN {estimate.vehicle.vin}</div>}
+        </div>
+
+        {/* Line items — list price only */}
+        <table className="w-full mt-5 text-sm">
+          <thead>
+            <tr className="text-[10px] font-semibold text-gray-400 uppercase tracking-wider border-b border-gray-200">
+              <th className="text-left pb-2">Part</th>
+              <th className="text-center pb-2 w-16">Qty</th>
+              <th className="text-right pb-2 w-24">Unit Price</th>
+              <th className="text-right pb-2 w-24">Amount</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {estimate.lines.map((line) => (
+              <tr key={line.lineId} className="break-inside-avoid">
+                <td className="py-2.5 pr-4">
+                  <div className="font-medium text-gray-900">{line.partName}</div>
+                  <div className="text-xs text-gray-500">
+                    {line.brand}
+                    {line.partNumber && <span className="font-mono"> · {line.partNumber}</span>}
+                    {line.taxable === false && <span> · Non-taxable</span>}
+                  </div>
+                </td>
+                <td className="py-2.5 text-center text-gray-700">{line.quantity}</td>
+                <td className="py-2.5 text-right font-mono text-gray-700">${line.listPrice.toFixed(2)}</td>
+                <td className="py-2.5 text-right font-mono font-semibold text-gray-900">
+                  ${(line.listPrice * line.quantity).toFixed(2)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {/* Totals */}
+        <div className="mt-4 pt-4 border-t border-gray-200 flex justify-end">
+          <div className="w-64 space-y-1.5 text-sm">
+            <div className="flex justify-between text-gray-600">
+              <span>Parts</span>
+              <span className="font-mono">${totals.parts.list.toFixed(2)}</span>
+            </div>
+            {totals.supplies > 0 && (
+              <div className="flex justify-between text-gray-600">
+                <span>Shop supplies</span>
+                <span className="font-mono">${totals.supplies.toFixed(2)}</span>
+              </div>
+            )}
+            {totals.fees.map((fee) => (
+              <div key={fee.id || fee.name} className="flex justify-between text-gray-600">
+                <span>{fee.name}{fee.quantity > 1 && ` × ${fee.quantity}`}</span>
+                <span className="font-mono">${fee.amount.toFixed(2)}</span>
+              </div>
+            ))}
+            {totals.subtotal !== totals.parts.list && (
+              <div className="flex justify-between text-gray-600">
+                <span>Subtotal</span>
+                <span className="font-mono">${totals.subtotal.toFixed(2)}</span>
+              </div>
+            )}
+            <div className="flex justify-between text-gray-600">
+              <span>{totals.taxExempt ? 'Tax (exempt)' : `Tax (${totals.taxRate}%)`}</span>
+              <span className="font-mono">${totals.tax.toFixed(2)}</span>
+            </div>
+            <div className="flex justify-between pt-2 border-t border-gray-200 text-base font-bold text-gray-900">
+              <span>Total</span>
+              <span className="font-mono">${totals.total.toFixed(2)}</span>
+            </div>
+          </div>
+        </div>
+
+        <p className="mt-10 text-[11px] text-gray-400">
+          Parts pricing only. Prices valid at time of estimate and subject to availability.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -182,7 +182,7 @@ export default function FilterSidebar({
         {/* Price Range */}
         <div>
           <div className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">
-            Shop Cost Range
+            Shop Cost Range (per unit)
           </div>
           <div className="flex items-center gap-2">
             <div className="flex-1 relative">
@@ -0,0 +1,270 @@
+/**
+ * MarcusChat — Multi-turn diagnostic conversation with Marcus.
+ *
+ * Replaces the one-shot symptom box on the dashboard. Marcus asks
+ * follow-up questions (when does the noise happen, which side, mileage)
+ * until he's confident, then proposes parts — reviewed and edited in
+ * MarcusPartsReview before anything is searched.
+ *
+ * Backed by POST /api/ai/diagnose-conversation:
+ *   Request:  { messages: [{ role, content }], vehicle: { year, make, model, trim, engine, vin } }
+ *   Response: { reply, questions?: [], ready, summary?, parts?: [], labels?: [], details? }
+ *
+ * Transcripts are kept per vehicle (and per user) in localStorage, so
+ * switching vehicles swaps conversations and coming back resumes one. A
+ * reply that arrives after the writer switched vehicles is saved to the
+ * vehicle it was asked about, not shown in the new one's chat.
+ *
+ * Props:
+ *   vehicle     - object, the active vehicle (required)
+ *   accentColor - string, shop accent color for buttons
+ *   onSearch    - function(queries[], summary), called with { query, label } pairs
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useShop } from '../context/ShopContext';
+import API from '../config/api';
+import MarcusAvatar from './MarcusAvatar';
+import MarcusPartsReview from './MarcusPartsReview';
+import { storageKey, loadJSON, saveJSON } from '../utils/storage';
+import { getVehicleKey } from '../utils/vehicle';
+
+const STARTER_PROMPTS = ['Brake noise', 'Check engine light', 'A/C not cold', 'Overheating', "Won't start", 'P0420 code'];
+
+// Conversations kept per user — oldest vehicles are dropped past this
+const MAX_STORED_CONVERSATIONS = 15;
+
+const EMPTY_CONVERSATION = { messages: [], questions: [], proposal: null };
+
+/**
+ * Normalize a diagnose-conversation response into chat state.
+ */
+function parseDiagnoseResponse(data) {
+  const parts = Array.isArray(data.parts) ? data.parts : [];
+  const labels = Array.isArray(data.labels) ? data.labels : [];
+  const ready = (data.ready ?? data.understood ?? parts.length > 0) && parts.length > 0;
+
+  return {
+    reply: data.reply || data.message || data.summary || '',
+    questions: Array.isArray(data.questions) ? data.questions : [],
+    proposal: ready
+      ? {
+        summary: data.summary || '',
+        parts: parts.map((part, i) => ({ query: part, label: labels[i] || part })),
+        details: data.details || null,
+      }
+      : null,
+  };
+}
+
+export default function MarcusChat({ vehicle, accentColor, onSearch }) {
+  const { user, session } = useShop();
+  const vehicleKey = getVehicleKey(vehicle);
+  const conversationsKey = user ? storageKey('marcus', user.id) : null;
+
+  const [conversation, setConversation] = useState(EMPTY_CONVERSATION);
+  const [input, setInput] = useState('');
+  // Vehicle key of the conversation waiting on Marcus, if any
+  const [thinkingFor, setThinkingFor] = useState(null);
+  const [error, setError] = useState(null);
+  const scrollRef = useRef(null);
+  const activeKeyRef = useRef(vehicleKey);
+  activeKeyRef.current = vehicleKey;
+  const thinking = thinkingFor === vehicleKey;
+
+  // ── Load this vehicle's transcript ──────────────────────────────
+  useEffect(() => {
+    const stored = conversationsKey ? loadJSON(conversationsKey, {}) : {};
+    setConversation(stored[vehicleKey] || EMPTY_CONVERSATION);
+    setError(null);
+  }, [conversationsKey, vehicleKey]);
+
+  // ── Keep the newest message in view ─────────────────────────────
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+  }, [conversation.messages.length, thinking]);
+
+  // Save a transcript under the vehicle it belongs to; only the active
+  // vehicle's transcript is on screen
+  const persist = (next, key = vehicleKey) => {
+    if (key === activeKeyRef.current) setConversation(next);
+    if (!conversationsKey) return;
+    const stored = loadJSON(conversationsKey, {});
+    stored[key] = { ...next, updatedAt: new Date().toISOString() };
+    const trimmed = Object.entries(stored)
+      .sort(([, a], [, b]) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+      .slice(0, MAX_STORED_CONVERSATIONS);
+    saveJSON(conversationsKey, Object.fromEntries(trimmed));
+  };
+
+  // ── Send a message ──────────────────────────────────────────────
+  const sendMessage = async (text, priorMessages = conversation.messages) => {
+    const content = text.trim();
+    if (!content || thinkingFor) return;
+
+    const sentKey = vehicleKey;
+    const messages = [...priorMessages, { role: 'user', content }];
+    persist({ ...conversation, messages, questions: [] }, sentKey);
+    setInput('');
+    setError(null);
+    setThinkingFor(sentKey);
+
+    try {
+      const token = session?.access_token;
+      const res = await fetch(API.ai.diagnose(), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({
+          messages,
+          vehicle: {
+            year: vehicle.year,
+            make: vehicle.make,
+            model: vehicle.model,
+            trim: vehicle.trim || null,
+            engine: vehicle.engine || null,
+            vin: vehicle.vin || null,
+          },
+        }),
+      });
+
+      if (!res.ok) throw new Error(`Marcus is unavailable (${res.status})`);
+      const parsed = parseDiagnoseResponse(await res.json());
+
+      persist({
+        messages: parsed.reply ? [...messages, { role: 'assistant', content: parsed.reply }] : messages,
+        questions: parsed.questions,
+        proposal: parsed.proposal,
+      }, sentKey);
+    } catch (err) {
+      console.error('[MarcusChat] Diagnose error:', err);
+      if (sentKey === activeKeyRef.current) setError(err.message || 'Marcus could not respond');
+    } finally {
+      setThinkingFor(null);
+    }
+  };
+
+  const handleRetry = () => {
+    const lastUser = [...conversation.messages].reverse().find((m) => m.role === 'user');
+    if (!lastUser) return;
+    // Resend from just before the unanswered message so it isn't duplicated
+    const idx = conversation.messages.lastIndexOf(lastUser);
+    sendMessage(lastUser.content, conversation.messages.slice(0, idx));
+  };
+
+  const handleReset = () => {
+    persist(EMPTY_CONVERSATION);
+    setInput('');
+    setError(null);
+  };
+
+  const { messages, questions, proposal } = conversation;
+  const hasConversation = messages.length > 0;
+
+  return (
+    <div className="mt-4 space-y-3">
+      {hasConversation && (
+        <div ref={scrollRef} className="max-h-72 overflow-y-auto scrollbar-thin space-y-2.5 pr-1">
+          {messages.map((msg, i) => (
+            msg.role === 'user' ? (
+              <div key={i} className="flex justify-end">
+                <div className="max-w-[85%] px-3 py-2 text-sm text-white rounded-2xl rounded-br-md" style={{ background: accentColor }}>
+                  {msg.content}
+                </div>
+              </div>
+            ) : (
+              <div key={i} className="flex items-start gap-2">
+                <MarcusAvatar size="sm" className="mt-1" />
+                <div className="max-w-[85%] px-3 py-2 text-sm text-gray-800 bg-gray-100 rounded-2xl rounded-bl-md whitespace-pre-wrap">
+                  {msg.content}
+                </div>
+              </div>
+            )
+          ))}
+          {thinking && (
+            <div className="flex items-center gap-2">
+              <MarcusAvatar size="sm" className="animate-pulse" />
+              <span className="text-xs text-gray-400">Marcus is thinking...</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div className="px-3 py-2 bg-red-50 border border-red-200 rounded-xl flex items-center justify-between gap-2">
+          <span className="text-xs text-red-600">{error}</span>
+          <button onClick={handleRetry} className="text-[11px] font-semibold text-red-600 hover:text-red-800">
+            Retry
+          </button>
+        </div>
+      )}
+
+      {/* ── Proposed parts (editable before searching) ────────────── */}
+      {proposal && !thinking && (
+        <div className="px-3.5 py-3 bg-amber-50 border border-amber-200 rounded-xl">
+          <MarcusPartsReview
+            proposal={proposal}
+            accentColor={accentColor}
+            onSearch={(queries) => onSearch(queries, proposal.summary)}
+          />
+        </div>
+      )}
+
+      {/* ── Follow-up quick replies ────────────────────────────────── */}
+      {questions.length > 0 && !thinking && (
+        <div className="flex flex-wrap gap-1.5">
+          {questions.map((q) => (
+            <button key={q} onClick={() => sendMessage(q)} className="px-2.5 py-1 text-[11px] text-gray-600 bg-white hover:bg-gray-50 border border-gray-200 rounded-full transition-colors">
+              {q}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <textarea
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        onKeyDown={(e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); sendMessage(input); } }}
+        placeholder={hasConversation
+          ? 'Answer Marcus or add details...'
+          : "Describe the customer's issue...\n\ne.g. Grinding noise from front when braking at low speed. Started last week."}
+        className="w-full px-3 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all resize-none"
+        rows={hasConversation ? 2 : 4}
+        disabled={thinking}
+        autoFocus
+      />
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => sendMessage(input)}
+          disabled={!input.trim() || !!thinkingFor}
+          title={thinkingFor && !thinking ? 'Marcus is still answering about another vehicle' : undefined}
+          className="flex-1 py-2.5 rounded-xl text-sm font-semibold text-white transition-all disabled:opacity-30"
+          style={{ background: accentColor }}
+        >
+          {hasConversation ? 'Send' : 'Ask Marcus →'}
+        </button>
+        {hasConversation && (
+          <button
+            onClick={handleReset}
+            disabled={thinking}
+            className="px-3 py-2.5 rounded-xl text-xs font-semibold text-gray-500 hover:text-gray-800 bg-gray-50 hover:bg-gray-100 border border-gray-200 transition-colors disabled:opacity-30"
+          >
+            New
+          </button>
+        )}
+      </div>
+
+      {!hasConversation && (
+        <div className="flex flex-wrap gap-1.5">
+          {STARTER_PROMPTS.map((q) => (
+            <button key={q} onClick={() => setInput(q)} className="px-2.5 py-1 text-[11px] text-gray-500 bg-gray-50 hover:bg-gray-100 border border-gray-200 rounded-full transition-colors">
+              {q}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+/**
+ * MarcusPartsReview — Confirm Marcus's proposed parts before searching.
+ *
+ * Sits between a Marcus diagnosis and the multi-part search so the writer
+ * can trim parts they already know are fine. Shows:
+ *   1. Marcus's summary
+ *   2. Each proposed part with reason + confidence, and a checkbox to drop it
+ *   3. Position selector for position-sensitive parts (from relatedParts.js)
+ *   4. A field to add parts Marcus missed
+ *   5. "Search N Parts" — fires one search per checked part
+ *
+ * Used by ResultsPage (one-shot ?marcus= diagnosis) and MarcusChat.
+ *
+ * Props:
+ *   proposal    - object, { summary, parts: [{ query, label }], details }
+ *   accentColor - string, shop accent color for buttons
+ *   onSearch    - function(queries[]), called with { query, label } pairs
+ *   onCancel    - function(), optional — shows a "Back" button when set
+ */
+
+import { useState, useEffect } from 'react';
+import { getRelatedParts, buildSearchQueries } from '../config/relatedParts';
+
+// Labels that already carry a position ("Front Brake Pads") skip the selector
+const POSITIONED_LABEL = /^(front|rear|left|right|upper|lower|inner|outer)\b/i;
+
+/**
+ * Find Marcus's reason/confidence for a proposed part in diagnosis details.
+ * Details come as { essential: [{ name, reason, confidence }], recommended: [...] }.
+ */
+function findPartDetail(details, part) {
+  if (!details) return null;
+  const names = [part.label, part.query].map((n) => n.toLowerCase());
+  for (const tier of ['essential', 'recommended']) {
+    const match = (details[tier] || []).find((d) => d.name && names.includes(d.name.toLowerCase()));
+    if (match) return { ...match, tier };
+  }
+  return null;
+}
+
+/**
+ * Confidence as a display string — accepts 0–1, 0–100, or "high"/"medium"/"low".
+ */
+function formatConfidence(confidence) {
+  if (confidence == null || confidence === '') return null;
+  if (typeof confidence === 'string') return confidence.charAt(0).toUpperCase() + confidence.slice(1);
+  const pct = confidence <= 1 ? confidence * 100 : confidence;
+  return `${Math.round(pct)}%`;
+}
+
+/**
+ * Build the editable row model for one proposed part.
+ */
+function buildRow(part, details, added = false) {
+  const intel = POSITIONED_LABEL.test(part.label) ? null : getRelatedParts(part.label);
+  const positions = intel?.positions || [];
+  const defaultPos = positions.find((p) => p.default);
+  return {
+    ...part,
+    detail: added ? null : findPartDetail(details, part),
+    positions,
+    position: defaultPos ? defaultPos.value : null,
+    checked: true,
+    added,
+  };
+}
+
+export default function MarcusPartsReview({ proposal, accentColor, onSearch, onCancel }) {
+  const [rows, setRows] = useState([]);
+  const [newPart, setNewPart] = useState('');
+
+  useEffect(() => {
+    setRows(proposal.parts.map((part) => buildRow(part, proposal.details)));
+  }, [proposal]);
+
+  const updateRow = (label, changes) => {
+    setRows((prev) => prev.map((r) => (r.label === label ? { ...r, ...changes } : r)));
+  };
+
+  const handleAddPart = () => {
+    const label = newPart.trim();
+    if (!label) return;
+    if (rows.some((r) => r.label.toLowerCase() === label.toLowerCase())) {
+      setNewPart('');
+      return;
+    }
+    setRows((prev) => [...prev, buildRow({ query: label, label }, null, true)]);
+    setNewPart('');
+  };
+
+  const checkedRows = rows.filter((r) => r.checked);
+
+  const handleSearch = () => {
+    const queries = checkedRows.map((row) => (
+      row.position ? buildSearchQueries(row.label, row.position, [])[0] : { query: row.query, label: row.label }
+    ));
+    if (queries.length > 0) onSearch(queries);
+  };
+
+  return (
+    <div className="space-y-3">
+      {proposal.summary && (
+        <p className="text-sm font-medium text-amber-900">{proposal.summary}</p>
+      )}
+
+      <div className="space-y-1.5">
+        {rows.map((row) => {
+          const confidence = formatConfidence(row.detail?.confidence);
+          return (
+            <div
+              key={row.label}
+              className={`px-3 py-2.5 rounded-xl border-2 transition-all ${
+                row.checked ? 'border-gray-900 bg-white' : 'border-gray-200 bg-gray-50 opacity-60'
+              }`}
+            >
+              <button
+                onClick={() => updateRow(row.label, { checked: !row.checked })}
+                className="w-full flex items-start gap-3 text-left"
+              >
+                <div className={`w-5 h-5 rounded-md border-2 flex items-center justify-center flex-shrink-0 mt-0.5 ${
+                  row.checked ? 'border-gray-900 bg-gray-900' : 'border-gray-300'
+                }`}>
+                  {row.checked && (
+                    <svg className="w-3 h-3 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M5 13l4 4L19 7" />
+                    </svg>
+                  )}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <span className="text-sm font-semibold text-gray-900">{row.label}</span>
+                    {row.detail?.tier === 'essential' && (
+                      <span className="inline-flex items-center gap-1 text-[10px] font-medium text-red-600">
+                        <span className="w-1.5 h-1.5 rounded-full bg-red-400" /> Essential
+                      </span>
+                    )}
+                    {row.detail?.tier === 'recommended' && (
+                      <span className="inline-flex items-center gap-1 text-[10px] font-medium text-amber-700">
+                        <span className="w-1.5 h-1.5 rounded-full bg-yellow-400" /> Recommended
+                      </span>
+                    )}
+                    {row.added && <span className="text-[10px] font-medium text-gray-400">Added by you</span>}
+                    {confidence && (
+                      <span className="text-[10px] px-1.5 py-0.5 bg-gray-100 border border-gray-200 rounded-full font-medium text-gray-600">
+                        {confidence} confident
+                      </span>
+                    )}
+                  </div>
+                  {row.detail?.reason && (
+                    <span className="text-[11px] text-gray-500 block mt-0.5 leading-snug">{row.detail.reason}</span>
+                  )}
+                </div>
+              </button>
+
+              {row.checked && row.positions.length > 0 && (
+                <div className="mt-2 ml-8 flex flex-wrap gap-1">
+                  {row.positions.map((pos) => (
+                    <button
+                      key={pos.value}
+                      onClick={() => updateRow(row.label, { position: pos.value })}
+                      className={`px-2 py-0.5 text-[11px] rounded-full border transition-colors ${
+                        row.position === pos.value
+                          ? 'border-gray-900 bg-gray-900 text-white font-semibold'
+                          : 'border-gray-200 bg-white text-gray-600 hover:border-gray-300'
+                      }`}
+                    >
+                      {pos.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={newPart}
+          onChange={(e) => setNewPart(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); handleAddPart(); } }}
+          placeholder="Add a part Marcus missed..."
+          className="flex-1 px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all"
+        />
+        <button
+          onClick={handleAddPart}
+          disabled={!newPart.trim()}
+          className="px-3 py-2 text-xs font-semibold text-gray-600 bg-gray-50 hover:bg-gray-100 border border-gray-200 rounded-xl transition-colors disabled:opacity-40"
+        >
+          Add
+        </button>
+      </div>
+
+      <div className="flex gap-2">
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="px-4 py-2.5 rounded-xl text-xs font-semibold text-gray-500 hover:text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            Back
+          </button>
+        )}
+        <button
+          onClick={handleSearch}
+          disabled={checkedRows.length === 0}
+          className="flex-1 py-2.5 rounded-xl text-sm font-bold text-white transition-all shadow-sm disabled:opacity-30"
+          style={{ background: accentColor }}
+        >
+          {checkedRows.length === 0
+            ? 'Select at least one part'
+            : `Search ${checkedRows.length} Part${checkedRows.length !== 1 ? 's' : ''} →`}
+        </button>
+      </div>
+    </div>
+  );
+}
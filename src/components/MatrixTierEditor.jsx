@@ -0,0 +1,206 @@
+/**
+ * MatrixTierEditor — Tier table + curve preview for matrix margin rules.
+ *
+ * Matrix pricing charges a high markup on cheap parts and a low one on
+ * expensive parts. Each tier covers a cost range [min, max) with its own
+ * percentage, expressed as markup on cost or as target gross margin.
+ *
+ * Shows:
+ *   1. Editable tier rows (min, max, %, basis) with add/remove
+ *   2. Gap / overlap warnings from validateMatrixTiers()
+ *   3. A live curve of list price vs cost, with tier boundaries marked
+ *
+ * Used by PreferencesPage when a rule's markup type is 'matrix'.
+ *
+ * Props:
+ *   rule        - object, the margin rule being edited (matrix_rules, markup_value)
+ *   onChange    - function(tiers[]), called with the updated tier list
+ *   accentColor - string, shop accent color for the curve
+ */
+
+import { useMemo } from 'react';
+import { calculateListPrice, validateMatrixTiers } from '../utils/marginCalculator';
+
+// Typical independent-shop matrix — starting point for a new matrix rule
+export const DEFAULT_MATRIX_TIERS = [
+  { min: 0, max: 10, pct: 100, basis: 'markup' },
+  { min: 10, max: 50, pct: 65, basis: 'markup' },
+  { min: 50, max: 150, pct: 45, basis: 'markup' },
+  { min: 150, max: null, pct: 30, basis: 'markup' },
+];
+
+const SAMPLE_COSTS = [5, 25, 100, 400];
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 140;
+const CHART_PAD = 24;
+
+/**
+ * Parse a numeric input; blank becomes null so "no upper bound" survives.
+ */
+function parseAmount(value) {
+  if (value === '' || value == null) return null;
+  const n = parseFloat(value);
+  return Number.isNaN(n) ? null : n;
+}
+
+export default function MatrixTierEditor({ rule, onChange, accentColor }) {
+  const tiers = rule.matrix_rules || [];
+  const issues = useMemo(() => validateMatrixTiers(tiers), [tiers]);
+  const flaggedTiers = new Set(issues.map((i) => i.index).filter((i) => i != null));
+
+  const updateTier = (index, changes) => {
+    onChange(tiers.map((t, i) => (i === index ? { ...t, ...changes } : t)));
+  };
+
+  const removeTier = (index) => {
+    onChange(tiers.filter((_, i) => i !== index));
+  };
+
+  // New tier starts where the last one ends; an open-ended last tier is closed off first
+  const addTier = () => {
+    const last = tiers[tiers.length - 1];
+    if (!last) {
+      onChange([{ min: 0, max: null, pct: rule.markup_value ?? 40, basis: 'markup' }]);
+      return;
+    }
+    const start = last.max ?? ((last.min || 0) * 2 || 100);
+    const closed = last.max == null ? [...tiers.slice(0, -1), { ...last, max: start }] : tiers;
+    onChange([...closed, { min: start, max: null, pct: last.pct ?? 40, basis: last.basis || 'markup' }]);
+  };
+
+  // ── Curve preview ───────────────────────────────────────────────
+  const chart = useMemo(() => {
+    const bounds = tiers.flatMap((t) => [t.min, t.max]).filter((n) => n != null && Number.isFinite(n));
+    const maxCost = Math.max(...bounds, 100) * 1.25;
+    const steps = 80;
+    const points = Array.from({ length: steps + 1 }, (_, i) => {
+      const cost = (maxCost * i) / steps || 0.01;
+      return { cost, list: calculateListPrice(cost, rule) };
+    });
+    const maxList = Math.max(...points.map((p) => p.list), maxCost);
+
+    const x = (cost) => CHART_PAD + (cost / maxCost) * (CHART_WIDTH - CHART_PAD * 2);
+    const y = (price) => CHART_HEIGHT - CHART_PAD - (price / maxList) * (CHART_HEIGHT - CHART_PAD * 2);
+
+    return {
+      maxCost,
+      maxList,
+      curve: points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.cost).toFixed(1)},${y(p.list).toFixed(1)}`).join(' '),
+      costLine: `M${x(0)},${y(0)} L${x(maxCost)},${y(maxCost)}`,
+      boundaries: [...new Set(bounds.filter((b) => b > 0))].map(x),
+    };
+  }, [tiers, rule]);
+
+  return (
+    <div className="space-y-3">
+      {/* ── Tier table ───────────────────────────────────────────── */}
+      <div className="space-y-1.5">
+        <div className="grid grid-cols-[1fr_1fr_80px_110px_28px] gap-2 text-[10px] font-semibold text-gray-400 uppercase tracking-wider px-1">
+          <span>Cost from</span>
+          <span>Up to</span>
+          <span>%</span>
+          <span>Basis</span>
+          <span />
+        </div>
+        {tiers.map((tier, i) => (
+          <div
+            key={i}
+            className={`grid grid-cols-[1fr_1fr_80px_110px_28px] gap-2 items-center ${
+              flaggedTiers.has(i) ? 'bg-amber-50 rounded-lg' : ''
+            }`}
+          >
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={tier.min ?? ''}
+              onChange={(e) => updateTier(i, { min: parseAmount(e.target.value) ?? 0 })}
+              className="px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={tier.max ?? ''}
+              onChange={(e) => updateTier(i, { max: parseAmount(e.target.value) })}
+              placeholder="and up"
+              className="px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
+            />
+            <input
+              type="number"
+              min="0"
+              value={tier.pct ?? ''}
+              onChange={(e) => updateTier(i, { pct: parseAmount(e.target.value) })}
+              className="px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
+            />
+            <select
+              value={tier.basis || 'markup'}
+              onChange={(e) => updateTier(i, { basis: e.target.value })}
+              className="px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
+            >
+              <option value="markup">Markup</option>
+              <option value="margin">Margin (GP)</option>
+            </select>
+            <button
+              onClick={() => removeTier(i)}
+              className="text-gray-300 hover:text-red-500 transition-colors text-xs"
+              title="Remove tier"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={addTier}
+          className="px-3 py-1.5 text-[11px] font-semibold text-gray-600 bg-gray-50 hover:bg-gray-100 border border-gray-200 rounded-lg transition-colors"
+        >
+          + Add tier
+        </button>
+      </div>
+
+      {/* ── Validation ───────────────────────────────────────────── */}
+      {issues.length > 0 && (
+        <div className="px-3 py-2 bg-amber-50 border border-amber-200 rounded-lg space-y-0.5">
+          {issues.map((issue, i) => (
+            <p key={i} className="text-[11px] text-amber-800">⚠ {issue.message}</p>
+          ))}
+        </div>
+      )}
+
+      {/* ── Curve preview ────────────────────────────────────────── */}
+      <div className="flex items-start gap-4">
+        <svg width={CHART_WIDTH} height={CHART_HEIGHT} className="bg-gray-50 rounded-lg border border-gray-100 flex-shrink-0">
+          {chart.boundaries.map((bx, i) => (
+            <line key={i} x1={bx} x2={bx} y1={CHART_PAD} y2={CHART_HEIGHT - CHART_PAD} stroke="#e5e7eb" strokeDasharray="3 3" />
+          ))}
+          <path d={chart.costLine} stroke="#d1d5db" strokeWidth="1" fill="none" />
+          <path d={chart.curve} stroke={accentColor} strokeWidth="2" fill="none" />
+          <text x={CHART_PAD} y={CHART_HEIGHT - 8} className="fill-gray-400" fontSize="9">$0</text>
+          <text x={CHART_WIDTH - CHART_PAD} y={CHART_HEIGHT - 8} textAnchor="end" className="fill-gray-400" fontSize="9">
+            ${Math.round(chart.maxCost)} cost
+          </text>
+          <text x={CHART_PAD} y={CHART_PAD - 8} className="fill-gray-400" fontSize="9">
+            ${Math.round(chart.maxList)} list
+          </text>
+        </svg>
+        <div className="space-y-1">
+          <div className="text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Examples</div>
+          {SAMPLE_COSTS.map((cost) => {
+            const list = calculateListPrice(cost, rule);
+            return (
+              <div key={cost} className="text-xs text-gray-600 tabular-nums">
+                ${cost.toFixed(2)} → <span className="font-semibold text-gray-900">${list.toFixed(2)}</span>
+                <span className="text-gray-400"> ({Math.round(((list - cost) / cost) * 100)}% markup)</span>
+              </div>
+            );
+          })}
+          <div className="flex items-center gap-3 pt-1 text-[10px] text-gray-400">
+            <span className="flex items-center gap-1"><span className="w-3 h-0.5" style={{ background: accentColor }} /> List</span>
+            <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-gray-300" /> Cost</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
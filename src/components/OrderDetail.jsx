@@ -0,0 +1,334 @@
+/**
+ * OrderDetail — Single order with status workflow and audit trail.
+ *
+ * Route: /orders/:id
+ *
+ * Shows the part, vehicle, RO, and margin for one order row, plus:
+ *   - Buttons for the statuses this order may move to (ORDER_TRANSITIONS)
+ *   - Optional note saved with a status change, or on its own
+ *   - Timeline of every change: status, timestamp, who made it, note
+ *   - "On the shelf" warning while a delivered part isn't installed
+ *
+ * Loaded via GET /api/b2b/orders/:id.
+ * Saved via PUT /api/b2b/orders/:id with { status, note } — the server
+ * appends the history entry and stamps the user and time, so concurrent
+ * writers can't drop each other's entries.
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useShop } from '../context/ShopContext';
+import API from '../config/api';
+import {
+  statusBadge,
+  getOrderMargin,
+  getAllowedTransitions,
+  getDaysOnShelf,
+} from '../config/orderStatus';
+import { formatVehicleLabel } from '../utils/vehicle';
+
+function formatTimestamp(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+export default function OrderDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { shop, session } = useShop();
+  const accentColor = shop?.accent_color || '#dc2626';
+  const token = session?.access_token;
+
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  // ── Load order ──────────────────────────────────────────────────
+  const fetchOrder = async (signal) => {
+    const res = await fetch(API.b2b.order(id), {
+      headers: { Authorization: `Bearer ${token}` },
+      signal,
+    });
+    if (!res.ok) throw new Error(res.status === 404 ? 'Order not found' : `Failed to load order (${res.status})`);
+    const data = await res.json();
+    return data.order || data;
+  };
+
+  useEffect(() => {
+    if (!token) {
+      // Loads again (clearing this) once a session arrives
+      setError('Sign in to view this order');
+      setLoading(false);
+      return;
+    }
+    const controller = new AbortController();
+
+    const loadOrder = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setOrder(await fetchOrder(controller.signal));
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error('[OrderDetail] Load error:', err);
+        setError(err.message);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    loadOrder();
+    return () => controller.abort();
+  }, [id, token]);
+
+  // ── Save a status change or note ────────────────────────────────
+  const saveHistoryEntry = async (toStatus) => {
+    if (!token || !order) return;
+    if (!toStatus && !note.trim()) return;
+    if (toStatus === 'cancelled' && !confirm('Cancel this order?')) return;
+
+    const payload = {
+      status: toStatus || order.status,
+      note: note.trim() || null,
+    };
+
+    try {
+      setSaving(true);
+      setSaveMessage(null);
+
+      const res = await fetch(API.b2b.order(order.id), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify(payload),
+      });
+
+      if (!res.ok) {
+        const errData = await res.json().catch(() => ({}));
+        throw new Error(errData.error || 'Failed to update order');
+      }
+
+      // The server owns the history — show its copy, re-reading if the
+      // response doesn't include the updated order
+      const data = await res.json().catch(() => ({}));
+      setOrder(data.order || await fetchOrder());
+      setNote('');
+      setSaveMessage({
+        type: 'success',
+        text: toStatus ? `Marked ${statusBadge(toStatus).label.toLowerCase()}` : 'Note added',
+      });
+    } catch (err) {
+      console.error('[OrderDetail] Save error:', err);
+      setSaveMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="py-24 text-center">
+        <div className="w-6 h-6 border-2 border-gray-200 border-t-gray-500 rounded-full animate-spin mx-auto mb-2" />
+        <p className="text-[11px] text-gray-400">Loading order...</p>
+      </div>
+    );
+  }
+
+  if (error || !order) {
+    return (
+      <div className="py-24 text-center">
+        <div className="text-3xl mb-3">⚠️</div>
+        <p className="text-sm text-gray-500">{error || 'Order not found'}</p>
+        <button
+          onClick={() => navigate('/orders')}
+          className="mt-4 px-4 py-2 text-xs font-semibold text-gray-600 bg-white hover:bg-gray-100 border border-gray-200 rounded-xl transition-colors"
+        >
+          ← Order History
+        </button>
+      </div>
+    );
+  }
+
+  const badge = statusBadge(order.status);
+  const transitions = getAllowedTransitions(order.status);
+  const daysOnShelf = getDaysOnShelf(order);
+  const margin = getOrderMargin(order);
+  const vehicleStr = formatVehicleLabel(order.vehicle_context);
+  const history = [...(order.status_history || [])].reverse();
+
+  return (
+    <div className="max-w-screen-lg mx-auto px-6 py-8">
+      <button
+        onClick={() => navigate('/orders')}
+        className="mb-4 text-xs font-semibold text-gray-500 hover:text-gray-800 transition-colors"
+      >
+        ← Order History
+      </button>
+
+      {/* ── Order summary ───────────────────────────────────────────── */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-6 mb-6">
+        <div className="flex items-start justify-between gap-6">
+          <div className="min-w-0">
+            <div className="flex items-center gap-2 mb-1">
+              <span className={`text-[10px] px-2 py-0.5 rounded-full font-medium border ${badge.bg} ${badge.text} ${badge.border}`}>
+                {badge.label}
+              </span>
+              {order.ro_number && (
+                <button
+                  onClick={() => navigate(`/estimate/${order.id}`)}
+                  className="text-[11px] font-mono text-gray-500 hover:text-gray-900 hover:underline"
+                  title="Print estimate"
+                >
+                  {order.ro_number}
+                </button>
+              )}
+            </div>
+            <h1 className="text-xl font-bold text-gray-900">{order.part_name}</h1>
+            <div className="flex items-center gap-2 text-sm text-gray-400 mt-0.5">
+              <span className="font-medium text-gray-600">{order.brand}</span>
+              {order.part_number && (
+                <>
+                  <span>·</span>
+                  <span className="font-mono text-xs">{order.part_number}</span>
+                </>
+              )}
+              <span>·</span>
+              <span>{order.vendor}</span>
+            </div>
+            {vehicleStr && <div className="text-xs text-gray-500 mt-2">{vehicleStr}</div>}
+          </div>
+          <div className="flex gap-6 text-right flex-shrink-0">
+            <div>
+              <div className="text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Cost</div>
+              <div className="text-sm font-semibold text-gray-900 font-mono">${(order.cost || 0).toFixed(2)}</div>
+              {order.core_charge > 0 && (
+                <div className="text-[10px] font-medium text-amber-600">incl. ${Number(order.core_charge).toFixed(2)} core</div>
+              )}
+              {order.shipping_cost > 0 && (
+                <div className="text-[10px] text-gray-400">incl. ${Number(order.shipping_cost).toFixed(2)} ship</div>
+              )}
+            </div>
+            <div>
+              <div className="text-[10px] font-semibold text-gray-400 uppercase tracking-wider">List</div>
+              <div className="text-sm font-medium text-gray-600 font-mono">${(order.list_price || 0).toFixed(2)}</div>
+              {order.price_level && <div className="text-[10px] font-medium text-blue-600">{order.price_level} pricing</div>}
+            </div>
+            <div>
+              <div className="text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Margin</div>
+              <div className="text-sm font-bold text-green-600 font-mono">+${margin.toFixed(2)}</div>
+            </div>
+          </div>
+        </div>
+
+        {daysOnShelf != null && (
+          <div className="mt-4 px-4 py-2.5 rounded-xl border border-amber-200 bg-amber-50 text-xs font-medium text-amber-700">
+            On the shelf {daysOnShelf === 0 ? 'since today' : `for ${daysOnShelf} day${daysOnShelf !== 1 ? 's' : ''}`} — delivered but not installed
+          </div>
+        )}
+      </div>
+
+      {saveMessage && (
+        <div className={`mb-6 px-4 py-3 rounded-xl border text-sm font-medium ${
+          saveMessage.type === 'success'
+            ? 'bg-green-50 border-green-200 text-green-700'
+            : 'bg-red-50 border-red-200 text-red-600'
+        }`}>
+          {saveMessage.text}
+        </div>
+      )}
+
+      <div className="grid grid-cols-5 gap-6">
+        {/* ── Update status ─────────────────────────────────────────── */}
+        <div className="col-span-2 bg-white rounded-2xl border border-gray-200 p-6 self-start">
+          <h2 className="text-base font-bold text-gray-900 mb-4">Update</h2>
+          <label className="block text-xs text-gray-500 font-medium mb-1.5">Note (optional)</label>
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={3}
+            placeholder="Tracking number, shelf location, reason for cancel..."
+            className="w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all resize-none"
+          />
+
+          <div className="mt-3 space-y-2">
+            {transitions.map((status) => {
+              const target = statusBadge(status);
+              const isCancel = status === 'cancelled';
+              return (
+                <button
+                  key={status}
+                  onClick={() => saveHistoryEntry(status)}
+                  disabled={saving}
+                  className={`w-full px-4 py-2 text-xs font-semibold rounded-xl transition-all disabled:opacity-50 ${
+                    isCancel
+                      ? 'text-red-600 bg-white border border-red-200 hover:bg-red-50'
+                      : 'text-white hover:opacity-90'
+                  }`}
+                  style={isCancel ? undefined : { background: accentColor }}
+                >
+                  Mark {target.label}
+                </button>
+              );
+            })}
+            {transitions.length === 0 && (
+              <p className="text-xs text-gray-400">This order is {badge.label.toLowerCase()} — no further status changes.</p>
+            )}
+            <button
+              onClick={() => saveHistoryEntry(null)}
+              disabled={saving || !note.trim()}
+              className="w-full px-4 py-2 text-xs font-semibold text-gray-600 bg-gray-50 hover:bg-gray-100 border border-gray-200 rounded-xl transition-colors disabled:opacity-40"
+            >
+              Add Note Only
+            </button>
+          </div>
+        </div>
+
+        {/* ── Timeline ──────────────────────────────────────────────── */}
+        <div className="col-span-3 bg-white rounded-2xl border border-gray-200 p-6">
+          <h2 className="text-base font-bold text-gray-900 mb-4">Timeline</h2>
+          <ol className="relative border-l border-gray-200 ml-2 space-y-5">
+            {history.map((entry, i) => {
+              const entryBadge = entry.to ? statusBadge(entry.to) : null;
+              return (
+                <li key={`${entry.at}-${i}`} className="ml-4">
+                  <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border-2 border-white bg-gray-300" />
+                  <div className="flex items-center gap-2">
+                    {entryBadge ? (
+                      <span className={`text-[10px] px-2 py-0.5 rounded-full font-medium border ${entryBadge.bg} ${entryBadge.text} ${entryBadge.border}`}>
+                        {entryBadge.label}
+                      </span>
+                    ) : (
+                      <span className="text-[10px] px-2 py-0.5 rounded-full font-medium border bg-white text-gray-500 border-gray-200">
+                        Note
+                      </span>
+                    )}
+                    <span className="text-[11px] text-gray-400">{formatTimestamp(entry.at)}</span>
+                    <span className="text-[11px] text-gray-500">· {entry.by}</span>
+                  </div>
+                  {entry.note && <p className="mt-1 text-sm text-gray-700 whitespace-pre-wrap">{entry.note}</p>}
+                </li>
+              );
+            })}
+            <li className="ml-4">
+              <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border-2 border-white bg-gray-300" />
+              <div className="flex items-center gap-2">
+                <span className="text-[10px] px-2 py-0.5 rounded-full font-medium border bg-white text-gray-500 border-gray-200">
+                  Created
+                </span>
+                <span className="text-[11px] text-gray-400">{formatTimestamp(order.created_at)}</span>
+              </div>
+            </li>
+          </ol>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,32 +1,429 @@
 /**
  * OrderHistory — Searchable order table with margin tracking.
- * 
+ *
  * Displays all parts ordered through the shop dashboard with:
  *   - Vehicle, RO number, part, brand, vendor
  *   - Cost, list price, margin ($ and %)
  *   - Status tracking (selected → ordered → shipped → delivered → installed)
- *   - Filterable by date range, vehicle, writer
- *   - Exportable to CSV
- * 
- * TODO: Full implementation in next build phase.
+ *   - Text search (RO, part, brand), plus vehicle (from recent vehicles),
+ *     writer (email), date range, and status filters
+ *   - Sortable date, cost, list, and margin columns
+ *   - RO number links to the printable customer estimate (/estimate/:id)
+ *   - Row click opens the order's status workflow (/orders/:id)
+ *   - "On the shelf" shortcut: delivered but not yet installed, with days waiting
+ *
+ * Backed by GET /api/b2b/orders with server-side pagination:
+ *   ?page=1&limit=25&search=akebono&status=delivered&from=2024-01-01&to=2024-01-31
+ *   &vin=1HGCV1F3XKA000000 (or &year=2019&make=Honda&model=Accord)
+ *   &writer=sam@shop.com&sort=margin_amount&order=desc
+ * Response: { orders: [...], total: 240 }
  */
 
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useShop } from '../context/ShopContext';
+import API from '../config/api';
+import ORDER_STATUSES, { statusBadge, getOrderMargin, getDaysOnShelf } from '../config/orderStatus';
+import { getVehicleKey, formatVehicleLabel } from '../utils/vehicle';
+
+const PAGE_SIZE = 25;
+
+const SORTABLE_COLUMNS = {
+  created_at: 'Date',
+  cost: 'Cost',
+  list_price: 'List',
+  margin_amount: 'Margin',
+  margin_pct: 'Margin %',
+};
+
+/**
+ * Get the margin percentage for an order row ((list - cost) / list × 100).
+ */
+function getOrderMarginPct(order) {
+  if (order.margin_pct != null) return order.margin_pct;
+  if (!order.list_price) return 0;
+  return (getOrderMargin(order) / order.list_price) * 100;
+}
+
+function formatOrderDate(dateString) {
+  if (!dateString) return '';
+  return new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
 
 export default function OrderHistory() {
-  const { shop } = useShop();
+  const { shop, session, recentVehicles } = useShop();
+  const navigate = useNavigate();
+  const accentColor = shop?.accent_color || '#dc2626';
+  const token = session?.access_token;
+
+  // ── Filter state ────────────────────────────────────────────────
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [vehicleFilter, setVehicleFilter] = useState('');
+  const [writerInput, setWriterInput] = useState('');
+  const [writer, setWriter] = useState('');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [sortKey, setSortKey] = useState('created_at');
+  const [sortDir, setSortDir] = useState('desc');
+  const [page, setPage] = useState(1);
+
+  // ── Data state ──────────────────────────────────────────────────
+  const [orders, setOrders] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // ── Debounce text search and writer ─────────────────────────────
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setWriter(writerInput.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput, writerInput]);
+
+  // Vehicle filter is a vehicle key from recents; the API matches on VIN
+  // when the vehicle has one, otherwise year/make/model
+  const filterVehicle = recentVehicles.find((v) => getVehicleKey(v) === vehicleFilter) || null;
+
+  // ── Fetch current page ──────────────────────────────────────────
+  useEffect(() => {
+    if (!token) {
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+
+    const loadOrders = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const params = new URLSearchParams({
+          page: String(page),
+          limit: String(PAGE_SIZE),
+          sort: sortKey,
+          order: sortDir,
+        });
+        if (search) params.set('search', search);
+        if (statusFilter) params.set('status', statusFilter);
+        if (dateFrom) params.set('from', dateFrom);
+        if (dateTo) params.set('to', dateTo);
+        if (filterVehicle?.vin) {
+          params.set('vin', filterVehicle.vin);
+        } else if (filterVehicle) {
+          if (filterVehicle.year) params.set('year', filterVehicle.year);
+          if (filterVehicle.make) params.set('make', filterVehicle.make);
+          if (filterVehicle.model) params.set('model', filterVehicle.model);
+        }
+        if (writer) params.set('writer', writer);
+
+        const res = await fetch(`${API.b2b.orders()}?${params.toString()}`, {
+          headers: { Authorization: `Bearer ${token}` },
+          signal: controller.signal,
+        });
+        if (!res.ok) throw new Error(`Failed to load orders (${res.status})`);
+        const data = await res.json();
+
+        setOrders(data.orders || []);
+        setTotal(data.total ?? data.count ?? (data.orders || []).length);
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          console.error('[OrderHistory] Load error:', err);
+          setError(err.message || 'Failed to load orders');
+          setOrders([]);
+          setTotal(0);
+        }
+      } finally {
+        // An aborted load was replaced by a newer one that's still running
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    loadOrders();
+    return () => controller.abort();
+  }, [token, page, search, statusFilter, vehicleFilter, writer, dateFrom, dateTo, sortKey, sortDir]);
+
+  // ── Handlers ────────────────────────────────────────────────────
+  const handleSort = (key) => {
+    if (sortKey === key) {
+      setSortDir((prev) => (prev === 'desc' ? 'asc' : 'desc'));
+    } else {
+      setSortKey(key);
+      setSortDir('desc');
+    }
+    setPage(1);
+  };
+
+  const handleFilterChange = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const clearFilters = () => {
+    setSearchInput('');
+    setSearch('');
+    setStatusFilter('');
+    setVehicleFilter('');
+    setWriterInput('');
+    setWriter('');
+    setDateFrom('');
+    setDateTo('');
+    setPage(1);
+  };
+
+  const hasFilters = !!(search || statusFilter || vehicleFilter || writer || dateFrom || dateTo);
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const pageStart = total === 0 ? 0 : (page - 1) * PAGE_SIZE + 1;
+  const pageEnd = Math.min(page * PAGE_SIZE, total);
+  const pageMarginTotal = orders.reduce((sum, o) => sum + getOrderMargin(o), 0);
+
+  const renderSortHeader = (key, align = 'text-right') => {
+    const isActive = sortKey === key;
+    return (
+      <button
+        onClick={() => handleSort(key)}
+        className={`w-full ${align} text-[10px] font-semibold uppercase tracking-wider transition-colors ${
+          isActive ? 'text-gray-700' : 'text-gray-400 hover:text-gray-600'
+        }`}
+      >
+        {SORTABLE_COLUMNS[key]}
+        <span className="ml-0.5">{isActive ? (sortDir === 'desc' ? '↓' : '↑') : ''}</span>
+      </button>
+    );
+  };
 
   return (
-    <div className="max-w-screen-xl mx-auto px-6 py-6">
-      <div className="bg-white rounded-2xl border border-gray-200 p-12 text-center">
-        <div className="text-4xl mb-4">📦</div>
-        <h2 className="text-lg font-bold text-gray-900 mb-2">Order History</h2>
-        <p className="text-sm text-gray-500 mb-4">
-          Searchable order table with margin tracking, RO numbers, and status.
-        </p>
-        <p className="text-xs text-gray-400">
-          Full implementation coming in the next build phase.
-        </p>
+    <div className="max-w-screen-xl mx-auto px-6 py-8">
+      <div className="flex items-end justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Order History</h1>
+          <p className="text-sm text-gray-400 mt-0.5">Every part ordered through the dashboard, with margins</p>
+        </div>
+        {orders.length > 0 && (
+          <div className="text-right">
+            <div className="text-xs text-gray-400 mb-0.5">Margin on this page</div>
+            <div className="text-lg font-bold text-green-600 font-mono">+${pageMarginTotal.toFixed(2)}</div>
+          </div>
+        )}
+      </div>
+
+      {/* ── Filters ───────────────────────────────────────────────── */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-4 mb-4 flex items-end gap-3">
+        <div className="flex-1">
+          <label className="block text-[11px] text-gray-500 font-medium mb-1">Search</label>
+          <input
+            type="text"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="RO number, part, or brand"
+            className="w-full px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all"
+          />
+        </div>
+        <div>
+          <label className="block text-[11px] text-gray-500 font-medium mb-1">Vehicle</label>
+          <select
+            value={vehicleFilter}
+            onChange={(e) => handleFilterChange(setVehicleFilter)(e.target.value)}
+            className="max-w-[12rem] px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 bg-white text-gray-700"
+          >
+            <option value="">All vehicles</option>
+            {recentVehicles.map((v) => (
+              <option key={getVehicleKey(v)} value={getVehicleKey(v)}>{formatVehicleLabel(v)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-[11px] text-gray-500 font-medium mb-1">Writer</label>
+          <input
+            type="text"
+            value={writerInput}
+            onChange={(e) => setWriterInput(e.target.value)}
+            placeholder="Email"
+            className="w-40 px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all"
+          />
+        </div>
+        <div>
+          <label className="block text-[11px] text-gray-500 font-medium mb-1">Status</label>
+          <select
+            value={statusFilter}
+            onChange={(e) => handleFilterChange(setStatusFilter)(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 bg-white text-gray-700"
+          >
+            <option value="">All statuses</option>
+            {Object.entries(ORDER_STATUSES).map(([key, s]) => (
+              <option key={key} value={key}>{s.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-[11px] text-gray-500 font-medium mb-1">From</label>
+          <input
+            type="date"
+            value={dateFrom}
+            max={dateTo || undefined}
+            onChange={(e) => handleFilterChange(setDateFrom)(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 bg-white text-gray-700"
+          />
+        </div>
+        <div>
+          <label className="block text-[11px] text-gray-500 font-medium mb-1">To</label>
+          <input
+            type="date"
+            value={dateTo}
+            min={dateFrom || undefined}
+            onChange={(e) => handleFilterChange(setDateTo)(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 bg-white text-gray-700"
+          />
+        </div>
+        <button
+          onClick={() => handleFilterChange(setStatusFilter)(statusFilter === 'delivered' ? '' : 'delivered')}
+          className={`px-3 py-2 text-xs font-semibold rounded-xl border transition-colors ${
+            statusFilter === 'delivered'
+              ? 'text-amber-700 bg-amber-50 border-amber-200'
+              : 'text-gray-500 hover:text-gray-800 bg-gray-50 hover:bg-gray-100 border-gray-200'
+          }`}
+          title="Delivered but not installed"
+        >
+          On the shelf
+        </button>
+        {hasFilters && (
+          <button
+            onClick={clearFilters}
+            className="px-3 py-2 text-xs font-semibold text-gray-500 hover:text-gray-800 bg-gray-50 hover:bg-gray-100 border border-gray-200 rounded-xl transition-colors"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {/* ── Table ─────────────────────────────────────────────────── */}
+      <div className="bg-white rounded-2xl border border-gray-200 overflow-hidden">
+        <div className="px-5 py-2 flex items-center gap-4 border-b border-gray-200 bg-gray-50/50">
+          <div className="w-24 flex-shrink-0">{renderSortHeader('created_at', 'text-left')}</div>
+          <div className="w-28 flex-shrink-0 text-[10px] font-semibold text-gray-400 uppercase tracking-wider">RO / Vehicle</div>
+          <div className="flex-1 text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Part</div>
+          <div className="w-24 flex-shrink-0 text-right text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Vendor</div>
+          <div className="w-20 flex-shrink-0">{renderSortHeader('cost')}</div>
+          <div className="w-20 flex-shrink-0">{renderSortHeader('list_price')}</div>
+          <div className="w-20 flex-shrink-0">{renderSortHeader('margin_amount')}</div>
+          <div className="w-16 flex-shrink-0">{renderSortHeader('margin_pct')}</div>
+          <div className="w-24 flex-shrink-0 text-center text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Status</div>
+        </div>
+
+        {loading ? (
+          <div className="py-16 text-center">
+            <div className="w-6 h-6 border-2 border-gray-200 border-t-gray-500 rounded-full animate-spin mx-auto mb-2" />
+            <p className="text-[11px] text-gray-400">Loading orders...</p>
+          </div>
+        ) : error ? (
+          <div className="py-16 text-center">
+            <div className="text-3xl mb-3">⚠️</div>
+            <p className="text-sm text-gray-500 mb-1">Could not load orders</p>
+            <p className="text-xs text-gray-400">{error}</p>
+          </div>
+        ) : orders.length === 0 ? (
+          <div className="py-16 text-center">
+            <div className="text-3xl mb-3">📦</div>
+            <p className="text-sm text-gray-500">{hasFilters ? 'No orders match your filters' : 'No orders yet'}</p>
+            <p className="text-xs text-gray-400 mt-1">
+              {hasFilters ? 'Try widening the date range or clearing filters.' : 'Search for parts and add them to an order.'}
+            </p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {orders.map((order) => {
+              const badge = statusBadge(order.status);
+              const vc = order.vehicle_context || {};
+              const vehicleStr = vc.year && vc.make && vc.model ? `${vc.year} ${vc.make} ${vc.model}` : null;
+              const margin = getOrderMargin(order);
+              const marginPct = getOrderMarginPct(order);
+              const daysOnShelf = getDaysOnShelf(order);
+
+              return (
+                <div
+                  key={order.id}
+                  onClick={() => navigate(`/orders/${order.id}`)}
+                  className="px-5 py-3 flex items-center gap-4 hover:bg-gray-50/50 transition-colors cursor-pointer"
+                >
+                  <div className="w-24 flex-shrink-0 text-xs text-gray-500">{formatOrderDate(order.created_at)}</div>
+                  <div className="w-28 flex-shrink-0 min-w-0">
+                    {order.ro_number ? (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          navigate(`/estimate/${order.id}`);
+                        }}
+                        className="block max-w-full text-[11px] font-mono text-gray-600 hover:text-gray-900 hover:underline truncate"
+                        title="Print estimate"
+                      >
+                        {order.ro_number}
+                      </button>
+                    ) : (
+                      <div className="text-[11px] font-mono text-gray-600">—</div>
+                    )}
+                    {vehicleStr && <div className="text-[11px] text-gray-400 truncate">{vehicleStr}</div>}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm font-semibold text-gray-800 truncate">{order.part_name}</div>
+                    <div className="flex items-center gap-2 text-xs text-gray-400">
+                      <span className="font-medium text-gray-600">{order.brand}</span>
+                      {order.part_number && (
+                        <>
+                          <span>·</span>
+                          <span className="font-mono text-[11px]">{order.part_number}</span>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  <div className="w-24 flex-shrink-0 text-right text-xs font-medium text-gray-700 truncate">{order.vendor}</div>
+                  <div className="w-20 flex-shrink-0 text-right text-sm font-semibold text-gray-900 font-mono">${(order.cost || 0).toFixed(2)}</div>
+                  <div className="w-20 flex-shrink-0 text-right text-sm font-medium text-gray-600 font-mono">${(order.list_price || 0).toFixed(2)}</div>
+                  <div className="w-20 flex-shrink-0 text-right text-sm font-bold text-green-600 font-mono">+${margin.toFixed(2)}</div>
+                  <div className="w-16 flex-shrink-0 text-right text-xs font-medium text-green-500 font-mono">{marginPct.toFixed(0)}%</div>
+                  <div className="w-24 flex-shrink-0 text-center">
+                    <span className={`text-[10px] px-2 py-0.5 rounded-full font-medium border ${badge.bg} ${badge.text} ${badge.border}`}>
+                      {badge.label}
+                    </span>
+                    {daysOnShelf != null && (
+                      <div className="text-[10px] text-amber-600 mt-0.5">{daysOnShelf}d on shelf</div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* ── Pagination ──────────────────────────────────────────── */}
+        {!loading && !error && total > 0 && (
+          <div className="px-5 py-3 bg-gray-50/50 border-t border-gray-200 flex items-center justify-between">
+            <span className="text-xs text-gray-400">
+              Showing {pageStart}–{pageEnd} of {total} orders
+            </span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage((p) => Math.max(1, p - 1))}
+                disabled={page <= 1}
+                className="px-3 py-1.5 text-xs font-semibold rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-100 transition-colors disabled:opacity-30"
+              >
+                ← Prev
+              </button>
+              <span className="text-xs text-gray-500 font-mono">{page} / {totalPages}</span>
+              <button
+                onClick={() => setPage((p) => Math.min(totalPages, p + 1))}
+                disabled={page >= totalPages}
+                className="px-3 py-1.5 text-xs font-semibold rounded-lg text-white transition-all disabled:opacity-30"
+                style={{ background: accentColor }}
+              >
+                Next →
+              </button>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
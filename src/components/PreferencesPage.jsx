@@ -11,25 +11,106 @@
  *   "40% markup on everything" → Global margin rule, 35%
  *   "Never show Duralast or Valucraft" → Two excluded brand preferences
  *   "50% markup on premium brands, 35% on economy" → Two margin rules
+ *   "40% gross margin on everything" → Global margin rule, 40% GP
+ *   "Bosch ignition parts from WorldPac: 32%" → Compound margin rule
+ *   "50% on anything from eBay" → Vendor margin rule
  * 
  * Two sections below the input:
  *   1. Active Brand Preferences — with inline status toggles
- *   2. Active Margin Rules — with edit/delete
+ *   2. Active Margin Rules — with add/edit/delete; matrix rules get a tier
+ *      table with gap/overlap checks and a price-curve preview, and any rule
+ *      can override the shop's margin guardrails. "Preview impact" replays
+ *      past orders through the draft rule (PricingSimulator) before saving.
+ *      Rules can run between dates (promotions); upcoming and expired rules
+ *      are listed separately below the active ones
  * 
  * All CRUD via existing /api/b2b/ endpoints.
  * AI parsing via POST /api/b2b/preferences/parse + /api/b2b/preferences/apply.
  */
 
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { useShop } from '../context/ShopContext';
 import API from '../config/api';
+import PART_CATEGORIES from '../config/partCategories';
+import { VENDOR_NAMES } from '../config/vendors';
+import {
+  formatMarkup, markupToMargin, marginToMarkup, validateMatrixTiers, PRICE_ROUNDING_OPTIONS, GUARDRAIL_LABELS, getRuleSchedule,
+  QUALITY_TIER_LABELS, describeRuleTarget,
+} from '../utils/marginCalculator';
+import MatrixTierEditor, { DEFAULT_MATRIX_TIERS } from './MatrixTierEditor';
+import PricingSimulator from './PricingSimulator';
+import { buildDraftRuleSet } from '../utils/pricingSimulator';
 
 const RULE_TYPE_LABELS = {
   global: 'Global',
   category: 'Category',
   brand: 'Brand',
+  vendor: 'Vendor',
+  compound: 'Compound',
 };
 
+/**
+ * Category rule targets: top-level categories, subcategories, and leaf
+ * part types. A rule on a parent key also applies to every part under it.
+ */
+const CATEGORY_OPTIONS = PART_CATEGORIES.flatMap((cat) => [
+  { key: cat.key, label: cat.label },
+  ...cat.subcategories.flatMap((sub) => [
+    { key: sub.key, label: `${cat.label} › ${sub.label}` },
+    ...sub.parts.map((part) => ({ key: part.key, label: `${sub.label} › ${part.label}` })),
+  ]),
+]);
+
+/**
+ * What a percentage rule works out to on the other basis, so owners can
+ * see that "40% markup" is only 28.6% gross margin.
+ */
+function describeEquivalent(rule) {
+  if (rule.markup_type === 'percentage') return `= ${markupToMargin(rule.markup_value)}% GP`;
+  if (rule.markup_type === 'margin') return `= ${marginToMarkup(rule.markup_value)}% markup`;
+  return null;
+}
+
+// Per-rule guardrail overrides — blank inherits the shop's setting
+const RULE_GUARDRAIL_FIELDS = [
+  { key: 'min_margin_dollars', label: GUARDRAIL_LABELS.min_margin_dollars },
+  { key: 'min_margin_pct', label: GUARDRAIL_LABELS.min_margin_pct },
+  { key: 'max_margin_pct', label: GUARDRAIL_LABELS.max_margin_pct },
+  { key: 'msrp_ceiling_pct', label: 'MSRP ceiling %' },
+];
+
+/**
+ * Rule schedule as a date range label, e.g. "Mar 1 – May 31" or "From Nov 1".
+ */
+function formatRuleWindow(rule) {
+  const fmt = (iso) => new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  if (rule.starts_at && rule.ends_at) return `${fmt(rule.starts_at)} – ${fmt(rule.ends_at)}`;
+  if (rule.starts_at) return `From ${fmt(rule.starts_at)}`;
+  return `Until ${fmt(rule.ends_at)}`;
+}
+
+/**
+ * ISO timestamp → local YYYY-MM-DD for a date input. Rules end at the
+ * start of the day after the last day chosen, hence the offset.
+ */
+function toDateInput(iso, isEnd = false) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  if (isEnd) d.setDate(d.getDate() - 1);
+  return [d.getFullYear(), d.getMonth() + 1, d.getDate()].map((n) => String(n).padStart(2, '0')).join('-');
+}
+
+/**
+ * Local YYYY-MM-DD → ISO timestamp at local midnight (the next midnight for end dates).
+ */
+function fromDateInput(value, isEnd = false) {
+  if (!value) return null;
+  const [y, m, d] = value.split('-').map(Number);
+  return new Date(y, m - 1, isEnd ? d + 1 : d).toISOString();
+}
+
+const NEW_RULE = { rule_type: 'global', markup_type: 'percentage', markup_value: 40, priority: 0 };
+
 const PREFERENCE_STATUS_STYLES = {
   preferred: { bg: 'bg-green-50', text: 'text-green-700', border: 'border-green-200', label: 'Preferred' },
   neutral:   { bg: 'bg-gray-50',  text: 'text-gray-600',  border: 'border-gray-200', label: 'Neutral' },
@@ -66,6 +147,19 @@ export default function PreferencesPage() {
   // ── Edit state for margin rules ─────────────────────────────────
   const [editingRuleId, setEditingRuleId] = useState(null);
   const [editingRule, setEditingRule] = useState(null);
+  const [showSimulator, setShowSimulator] = useState(false);
+
+  const rulesBySchedule = useMemo(() => {
+    const groups = { active: [], upcoming: [], expired: [] };
+    marginRules.forEach((rule) => groups[getRuleSchedule(rule)].push(rule));
+    return groups;
+  }, [marginRules]);
+
+  // The rule set as it would be if the rule being edited were saved
+  const draftRules = useMemo(
+    () => buildDraftRuleSet(marginRules, editingRule, editingRuleId),
+    [marginRules, editingRule, editingRuleId]
+  );
 
   const authHeaders = token
     ? { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` }
@@ -195,16 +289,57 @@ export default function PreferencesPage() {
   };
 
   // ── Margin rule CRUD ────────────────────────────────────────────
+  const handleMarkupTypeChange = (markupType) => {
+    const seedTiers = markupType === 'matrix' && !(editingRule.matrix_rules || []).length;
+    setEditingRule({
+      ...editingRule,
+      markup_type: markupType,
+      ...(seedTiers ? { matrix_rules: DEFAULT_MATRIX_TIERS } : {}),
+    });
+  };
+
   const handleUpdateMarginRule = async () => {
     if (!editingRuleId || !editingRule) return;
+
+    if (editingRule.rule_type === 'vendor' && !editingRule.vendor?.trim()) {
+      alert('A vendor rule needs a vendor.');
+      return;
+    }
+
+    if (editingRule.rule_type === 'compound'
+      && ![editingRule.brand, editingRule.category, editingRule.vendor, editingRule.quality_tier].some(Boolean)) {
+      alert('A compound rule needs at least one of brand, category, vendor or tier.');
+      return;
+    }
+
+    if (editingRule.starts_at && editingRule.ends_at && editingRule.ends_at <= editingRule.starts_at) {
+      alert('The end date must be on or after the start date.');
+      return;
+    }
+
+    if (editingRule.markup_type === 'matrix') {
+      const issues = validateMatrixTiers(editingRule.matrix_rules);
+      const blocking = issues.filter((i) => i.type === 'invalid' || i.type === 'overlap');
+      if (blocking.length > 0) {
+        alert(`Fix the matrix before saving:\n\n${blocking.map((i) => i.message).join('\n')}`);
+        return;
+      }
+      if (issues.length > 0 && !confirm(`${issues.map((i) => i.message).join('\n')}\n\nThose costs will use the rule's base ${editingRule.markup_value}% markup. Save anyway?`)) {
+        return;
+      }
+    }
+
+    const isNew = editingRuleId === 'new';
     try {
-      await fetch(API.b2b.marginRule(editingRuleId), {
-        method: 'PUT', headers: authHeaders, body: JSON.stringify(editingRule),
+      const res = await fetch(isNew ? API.b2b.marginRules() : API.b2b.marginRule(editingRuleId), {
+        method: isNew ? 'POST' : 'PUT', headers: authHeaders, body: JSON.stringify(editingRule),
       });
+      if (!res.ok) throw new Error(`Save failed (${res.status})`);
       setEditingRuleId(null);
       setEditingRule(null);
       await loadAllRules();
     } catch (err) {
+      console.error('[Preferences] Margin rule save error:', err);
       alert('Failed to update');
     }
   };
@@ -221,6 +356,259 @@ export default function PreferencesPage() {
     }
   };
 
+  // ── Render the margin rule editor (existing or new rule) ────────
+  const renderRuleEditor = () => (
+    <div className="flex-1 mr-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={editingRule.rule_type}
+          onChange={(e) => setEditingRule({ ...editingRule, rule_type: e.target.value })}
+          className="px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
+        >
+          <option value="global">Global</option>
+          <option value="category">Category</option>
+          <option value="brand">Brand</option>
+          <option value="vendor">Vendor</option>
+          <option value="compound">Compound</option>
+        </select>
+        <select
+          value={editingRule.markup_type}
+          onChange={(e) => handleMarkupTypeChange(e.target.value)}
+          className="px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
+        >
+          <option value="percentage">% markup</option>
+          <option value="margin">% margin (GP)</option>
+          <option value="fixed">$</option>
+          <option value="matrix">Matrix</option>
+        </select>
+        <input
+          type="number"
+          value={editingRule.markup_value}
+          onChange={(e) => setEditingRule({ ...editingRule, markup_value: parseFloat(e.target.value) || 0 })}
+          max={editingRule.markup_type === 'margin' ? 95 : undefined}
+          title={editingRule.markup_type === 'matrix' ? 'Markup % for costs outside every tier' : undefined}
+          className="w-20 px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
+        />
+        {describeEquivalent(editingRule) && (
+          <span className="text-[11px] text-gray-400 whitespace-nowrap">{describeEquivalent(editingRule)}</span>
+        )}
+        {(editingRule.rule_type === 'brand' || editingRule.rule_type === 'compound') && (
+          <input
+            type="text"
+            value={editingRule.brand || ''}
+            onChange={(e) => setEditingRule({ ...editingRule, brand: e.target.value })}
+            placeholder="Brand"
+            className="w-28 px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
+          />
+        )}
+        {(editingRule.rule_type === 'category' || editingRule.rule_type === 'compound') && (
+          <>
+            <input
+              type="text"
+              list="margin-rule-categories"
+              value={editingRule.category || ''}
+              onChange={(e) => setEditingRule({ ...editingRule, category: e.target.value })}
+              placeholder="Category"
+              className="w-40 px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
+            />
+            <datalist id="margin-rule-categories">
+              {CATEGORY_OPTIONS.map((opt) => (
+                <option key={opt.key} value={opt.key}>{opt.label}</option>
+              ))}
+            </datalist>
+          </>
+        )}
+        {(editingRule.rule_type === 'vendor' || editingRule.rule_type === 'compound') && (
+          <>
+            <input
+              type="text"
+              list="margin-rule-vendors"
+              value={editingRule.vendor || ''}
+              onChange={(e) => setEditingRule({ ...editingRule, vendor: e.target.value })}
+              placeholder="Vendor"
+              className="w-28 px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
+            />
+            <datalist id="margin-rule-vendors">
+              {VENDOR_NAMES.map((v) => <option key={v} value={v} />)}
+            </datalist>
+          </>
+        )}
+        {editingRule.rule_type === 'compound' && (
+          <>
+            <select
+              value={editingRule.quality_tier || ''}
+              onChange={(e) => setEditingRule({ ...editingRule, quality_tier: e.target.value || null })}
+              className="px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
+            >
+              <option value="">Any tier</option>
+              {Object.entries(QUALITY_TIER_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </>
+        )}
+        <select
+          value={editingRule.price_rounding || ''}
+          onChange={(e) => setEditingRule({ ...editingRule, price_rounding: e.target.value || null })}
+          title="Price ending after markup"
+          className="px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
+        >
+          <option value="">Shop endings</option>
+          {PRICE_ROUNDING_OPTIONS.map((opt) => (
+            <option key={opt.value} value={opt.value}>{opt.label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1.5 text-[11px] text-gray-500">
+          From
+          <input
+            type="date"
+            value={toDateInput(editingRule.starts_at)}
+            onChange={(e) => setEditingRule({ ...editingRule, starts_at: fromDateInput(e.target.value) })}
+            className="px-2 py-1 text-sm border border-gray-200 rounded-lg bg-white"
+          />
+        </label>
+        <label className="flex items-center gap-1.5 text-[11px] text-gray-500">
+          through
+          <input
+            type="date"
+            value={toDateInput(editingRule.ends_at, true)}
+            onChange={(e) => setEditingRule({ ...editingRule, ends_at: fromDateInput(e.target.value, true) })}
+            className="px-2 py-1 text-sm border border-gray-200 rounded-lg bg-white"
+          />
+        </label>
+        <button onClick={handleUpdateMarginRule} className="px-3 py-1.5 text-xs font-semibold text-white rounded-lg" style={{ background: accentColor }}>Save</button>
+        <button onClick={() => { setEditingRuleId(null); setEditingRule(null); }} className="px-3 py-1.5 text-xs font-semibold text-gray-500 bg-gray-100 rounded-lg hover:bg-gray-200">Cancel</button>
+        <button
+          onClick={() => setShowSimulator((s) => !s)}
+          className={`px-3 py-1.5 text-xs font-semibold rounded-lg border transition-colors ${
+            showSimulator ? 'border-gray-900 bg-gray-900 text-white' : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+          }`}
+        >
+          Preview impact
+        </button>
+      </div>
+      <div className="flex flex-wrap items-center gap-4 text-[11px] text-gray-500">
+        <label className="flex items-center gap-1.5">
+          <input
+            type="checkbox"
+            checked={editingRule.markup_shipping !== false}
+            onChange={(e) => setEditingRule({ ...editingRule, markup_shipping: e.target.checked })}
+          />
+          Mark up shipping
+        </label>
+        <label className="flex items-center gap-1.5" title="Core deposits come back when the old part is returned, so they normally pass through at cost">
+          <input
+            type="checkbox"
+            checked={editingRule.markup_core === true}
+            onChange={(e) => setEditingRule({ ...editingRule, markup_core: e.target.checked })}
+          />
+          Mark up core charges
+        </label>
+      </div>
+      <details open={RULE_GUARDRAIL_FIELDS.some((f) => editingRule[f.key] != null)}>
+        <summary className="text-[11px] font-semibold text-gray-500 cursor-pointer select-none hover:text-gray-800">
+          Guardrail overrides
+        </summary>
+        <div className="mt-2 flex flex-wrap items-center gap-3">
+          {RULE_GUARDRAIL_FIELDS.map((field) => (
+            <label key={field.key} className="flex items-center gap-1.5 text-[11px] text-gray-500">
+              {field.label}
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={editingRule[field.key] ?? ''}
+                onChange={(e) => setEditingRule({
+                  ...editingRule,
+                  [field.key]: e.target.value === '' ? null : parseFloat(e.target.value),
+                })}
+                placeholder="Shop"
+                className="w-20 px-2 py-1 text-sm border border-gray-200 rounded-lg bg-white"
+              />
+            </label>
+          ))}
+        </div>
+      </details>
+      {editingRule.markup_type === 'matrix' && (
+        <MatrixTierEditor
+          rule={editingRule}
+          onChange={(tiers) => setEditingRule({ ...editingRule, matrix_rules: tiers })}
+          accentColor={accentColor}
+        />
+      )}
+      {showSimulator && <PricingSimulator currentRules={marginRules} draftRules={draftRules} />}
+    </div>
+  );
+
+  // ── Render one margin rule row (view or edit) ───────────────────
+  const renderMarginRuleRow = (rule) => {
+    const isEditing = editingRuleId === rule.id;
+
+    return (
+      <div key={rule.id} className="py-3 flex items-center justify-between">
+        {isEditing ? (
+          renderRuleEditor()
+        ) : (
+          <>
+            <div className="flex items-center gap-3">
+              <span className="text-[10px] px-2 py-0.5 bg-gray-100 text-gray-600 rounded font-medium uppercase">
+                {RULE_TYPE_LABELS[rule.rule_type] || rule.rule_type}
+              </span>
+              {rule.rule_type === 'compound' ? (
+                <span className="text-sm text-gray-700 font-medium">{describeRuleTarget(rule)}</span>
+              ) : (
+                <>
+                  {rule.brand && <span className="text-sm text-gray-700 font-medium">{rule.brand}</span>}
+                  {rule.category && <span className="text-sm text-gray-700 font-medium">{rule.category}</span>}
+                  {rule.rule_type === 'vendor' && <span className="text-sm text-gray-700 font-medium">{rule.vendor}</span>}
+                </>
+              )}
+              <span className="text-sm font-bold text-gray-900">
+                {formatMarkup(rule)}
+              </span>
+              {describeEquivalent(rule) && (
+                <span className="text-[11px] text-gray-400">{describeEquivalent(rule)}</span>
+              )}
+              {rule.price_rounding && (
+                <span className="text-[10px] px-2 py-0.5 bg-gray-50 text-gray-500 border border-gray-200 rounded font-medium">
+                  {PRICE_ROUNDING_OPTIONS.find((o) => o.value === rule.price_rounding)?.label || rule.price_rounding}
+                </span>
+              )}
+              {(rule.markup_shipping === false || rule.markup_core === true) && (
+                <span className="text-[10px] px-2 py-0.5 bg-gray-50 text-gray-500 border border-gray-200 rounded font-medium">
+                  {[
+                    rule.markup_shipping === false && 'shipping at cost',
+                    rule.markup_core === true && 'marks up cores',
+                  ].filter(Boolean).join(' · ')}
+                </span>
+              )}
+              {(rule.starts_at || rule.ends_at) && (
+            <span className="text-[10px] px-2 py-0.5 bg-amber-50 text-amber-700 border border-amber-200 rounded font-medium">
+              {formatRuleWindow(rule)}
+            </span>
+          )}
+          <span className="text-[10px] text-gray-400">Priority: {rule.priority}</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => { setEditingRuleId(rule.id); setEditingRule({ ...rule }); }}
+                className="px-2 py-1 text-[11px] text-gray-400 hover:text-gray-700 transition-colors"
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => handleDeleteMarginRule(rule.id)}
+                className="px-2 py-1 text-[11px] text-gray-300 hover:text-red-500 transition-colors"
+              >
+                ✕
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
   // ── Render a parsed rule preview ────────────────────────────────
   const renderRulePreview = (rule, index) => {
     if (rule.type === 'brand_preference') {
@@ -245,12 +633,14 @@ export default function PreferencesPage() {
             Margin
           </span>
           <span className="text-sm font-bold text-gray-800">
-            {rule.markup_type === 'percentage' ? `${rule.markup_value}%` : `$${rule.markup_value}`}
+            {formatMarkup(rule)}
           </span>
           <span className="text-[11px] text-gray-400">
             {rule.rule_type === 'global' ? 'on all parts' : ''}
             {rule.rule_type === 'category' ? `on ${rule.category}` : ''}
             {rule.rule_type === 'brand' ? `for ${rule.brand}` : ''}
+            {rule.rule_type === 'vendor' ? `from ${rule.vendor}` : ''}
+            {rule.rule_type === 'compound' ? `for ${describeRuleTarget(rule)}` : ''}
           </span>
         </div>
       );
@@ -468,104 +858,57 @@ export default function PreferencesPage() {
         <div className="flex items-center justify-between mb-4">
           <div>
             <h2 className="text-base font-bold text-gray-900">Margin Rules</h2>
-            <p className="text-xs text-gray-400 mt-0.5">{marginRules.length} active rule{marginRules.length !== 1 ? 's' : ''}</p>
+            <p className="text-xs text-gray-400 mt-0.5">
+              {rulesBySchedule.active.length} active rule{rulesBySchedule.active.length !== 1 ? 's' : ''}
+              {rulesBySchedule.upcoming.length > 0 && ` · ${rulesBySchedule.upcoming.length} upcoming`}
+            </p>
           </div>
+          {editingRuleId !== 'new' && (
+            <button
+              onClick={() => { setEditingRuleId('new'); setEditingRule({ ...NEW_RULE }); }}
+              className="px-3 py-1.5 text-xs font-semibold text-gray-600 bg-gray-50 hover:bg-gray-100 border border-gray-200 rounded-lg transition-colors"
+            >
+              + Add Rule
+            </button>
+          )}
         </div>
 
+        {editingRuleId === 'new' && (
+          <div className="py-3 mb-2 border-b border-gray-100 flex">
+            {renderRuleEditor()}
+          </div>
+        )}
+
         {dataLoading ? (
           <div className="py-8 text-center">
             <div className="w-6 h-6 border-2 border-gray-200 border-t-gray-500 rounded-full animate-spin mx-auto mb-2" />
             <p className="text-[11px] text-gray-400">Loading...</p>
           </div>
-        ) : marginRules.length === 0 ? (
+        ) : marginRules.length === 0 ? (editingRuleId !== 'new' &&
           <div className="py-6 text-center">
             <p className="text-xs text-gray-400">No margin rules yet. Tell Marcus above — e.g. "40% markup on everything"</p>
           </div>
         ) : (
-          <div className="divide-y divide-gray-100">
-            {marginRules.map((rule) => {
-              const isEditing = editingRuleId === rule.id;
-
-              return (
-                <div key={rule.id} className="py-3 flex items-center justify-between">
-                  {isEditing ? (
-                    <div className="flex-1 flex items-center gap-3 mr-4">
-                      <select
-                        value={editingRule.rule_type}
-                        onChange={(e) => setEditingRule({ ...editingRule, rule_type: e.target.value })}
-                        className="px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
-                      >
-                        <option value="global">Global</option>
-                        <option value="category">Category</option>
-                        <option value="brand">Brand</option>
-                      </select>
-                      <select
-                        value={editingRule.markup_type}
-                        onChange={(e) => setEditingRule({ ...editingRule, markup_type: e.target.value })}
-                        className="px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
-                      >
-                        <option value="percentage">%</option>
-                        <option value="fixed">$</option>
-                      </select>
-                      <input
-                        type="number"
-                        value={editingRule.markup_value}
-                        onChange={(e) => setEditingRule({ ...editingRule, markup_value: parseFloat(e.target.value) || 0 })}
-                        className="w-20 px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
-                      />
-                      {editingRule.rule_type === 'brand' && (
-                        <input
-                          type="text"
-                          value={editingRule.brand || ''}
-                          onChange={(e) => setEditingRule({ ...editingRule, brand: e.target.value })}
-                          placeholder="Brand"
-                          className="w-28 px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
-                        />
-                      )}
-                      {editingRule.rule_type === 'category' && (
-                        <input
-                          type="text"
-                          value={editingRule.category || ''}
-                          onChange={(e) => setEditingRule({ ...editingRule, category: e.target.value })}
-                          placeholder="Category"
-                          className="w-28 px-2 py-1.5 text-sm border border-gray-200 rounded-lg bg-white"
-                        />
-                      )}
-                      <button onClick={handleUpdateMarginRule} className="px-3 py-1.5 text-xs font-semibold text-white rounded-lg" style={{ background: accentColor }}>Save</button>
-                      <button onClick={() => { setEditingRuleId(null); setEditingRule(null); }} className="px-3 py-1.5 text-xs font-semibold text-gray-500 bg-gray-100 rounded-lg hover:bg-gray-200">Cancel</button>
-                    </div>
-                  ) : (
-                    <>
-                      <div className="flex items-center gap-3">
-                        <span className="text-[10px] px-2 py-0.5 bg-gray-100 text-gray-600 rounded font-medium uppercase">
-                          {RULE_TYPE_LABELS[rule.rule_type] || rule.rule_type}
-                        </span>
-                        {rule.brand && <span className="text-sm text-gray-700 font-medium">{rule.brand}</span>}
-                        {rule.category && <span className="text-sm text-gray-700 font-medium">{rule.category}</span>}
-                        <span className="text-sm font-bold text-gray-900">
-                          {rule.markup_type === 'percentage' ? `${rule.markup_value}%` : `$${rule.markup_value}`}
-                        </span>
-                        <span className="text-[10px] text-gray-400">Priority: {rule.priority}</span>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        <button
-                          onClick={() => { setEditingRuleId(rule.id); setEditingRule({ ...rule }); }}
-                          className="px-2 py-1 text-[11px] text-gray-400 hover:text-gray-700 transition-colors"
-                        >
-                          Edit
-                        </button>
-                        <button
-                          onClick={() => handleDeleteMarginRule(rule.id)}
-                          className="px-2 py-1 text-[11px] text-gray-300 hover:text-red-500 transition-colors"
-                        >
-                          ✕
-                        </button>
-                      </div>
-                    </>
-                  )}
+          <div className="space-y-4">
+            <div className="divide-y divide-gray-100">
+              {rulesBySchedule.active.map(renderMarginRuleRow)}
+              {rulesBySchedule.active.length === 0 && (
+                <p className="py-3 text-xs text-gray-400">No rules active right now — parts fall back to a 40% markup.</p>
+              )}
+            </div>
+            {[
+              { key: 'upcoming', label: 'Upcoming' },
+              { key: 'expired', label: 'Expired' },
+            ].filter((group) => rulesBySchedule[group.key].length > 0).map((group) => (
+              <div key={group.key}>
+                <div className="text-[10px] font-semibold text-gray-400 uppercase tracking-wider pt-2 border-t border-gray-100">
+                  {group.label} ({rulesBySchedule[group.key].length})
                 </div>
-              );
-            })}
+                <div className={`divide-y divide-gray-100 ${group.key === 'expired' ? 'opacity-60' : ''}`}>
+                  {rulesBySchedule[group.key].map(renderMarginRuleRow)}
+                </div>
+              </div>
+            ))}
           </div>
         )}
       </div>
@@ -0,0 +1,49 @@
+/**
+ * PriceLevelSelect — Pick the customer price level for a vehicle.
+ *
+ * Levels (Retail, Fleet −10%, Wholesale at cost + 15%) are defined per
+ * shop in Settings. The choice is stored on the vehicle itself, so it
+ * follows the car through recents and every search for it, and the List
+ * Price / Margin columns and draft-order lines reprice accordingly.
+ *
+ * Renders nothing when the shop has no price levels.
+ *
+ * Used in ResultsPage (search context bar) and DashboardHome (Active
+ * Vehicle Bar).
+ *
+ * Props:
+ *   vehicle - object, the vehicle the level applies to (made active on change)
+ */
+
+import { useShop } from '../context/ShopContext';
+import { findPriceLevel } from '../utils/marginCalculator';
+
+export default function PriceLevelSelect({ vehicle }) {
+  const { shop, setVehicleContext } = useShop();
+  const levels = shop?.price_levels || [];
+  if (levels.length === 0 || !vehicle) return null;
+
+  const current = findPriceLevel(shop, vehicle.priceLevelId);
+
+  const handleChange = (e) => {
+    setVehicleContext({ ...vehicle, priceLevelId: e.target.value || null });
+  };
+
+  return (
+    <label className="flex items-center gap-1.5 text-[11px] text-gray-400">
+      Price level
+      <select
+        value={current?.id || ''}
+        onChange={handleChange}
+        className={`px-2 py-1 text-xs font-semibold border rounded-lg bg-white transition-colors ${
+          current ? 'border-blue-200 text-blue-700 bg-blue-50' : 'border-gray-200 text-gray-700'
+        }`}
+      >
+        <option value="">Retail (list)</option>
+        {levels.map((level) => (
+          <option key={level.id} value={level.id}>{level.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
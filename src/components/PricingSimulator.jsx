@@ -0,0 +1,175 @@
+/**
+ * PricingSimulator — What-if impact of a draft margin rule on past orders.
+ *
+ * Shown under the rule editor in PreferencesPage. Loads the shop's recent
+ * order lines once, then re-runs them through marginCalculator on every
+ * edit, so the owner sees the effect before pressing Save:
+ *   1. Average list price, total list, and gross profit — current vs draft
+ *   2. The order lines whose price moves the most
+ *
+ * Orders come from GET /api/b2b/orders?from=YYYY-MM-DD&limit=500.
+ *
+ * Props:
+ *   currentRules - array, margin rules in effect today
+ *   draftRules   - array, the rule set as it would be after saving
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { useShop } from '../context/ShopContext';
+import API from '../config/api';
+import { getShopPricingOptions } from '../utils/marginCalculator';
+import { simulateRuleSet } from '../utils/pricingSimulator';
+
+const LOOKBACK_OPTIONS = [
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '12 months' },
+];
+
+// Enough history to be representative without a slow first load
+const ORDER_LIMIT = 500;
+
+function formatMoney(n) {
+  return `$${Math.abs(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDelta(n, suffix = '') {
+  if (n === 0) return <span className="text-gray-400">no change</span>;
+  const text = suffix ? `${Math.abs(n)}${suffix}` : formatMoney(n);
+  return (
+    <span className={n > 0 ? 'text-green-600' : 'text-red-600'}>
+      {n > 0 ? '+' : '−'}{text}
+    </span>
+  );
+}
+
+export default function PricingSimulator({ currentRules, draftRules }) {
+  const { shop, session } = useShop();
+  const token = session?.access_token;
+
+  const [lookbackDays, setLookbackDays] = useState(90);
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // ── Load order history ──────────────────────────────────────────
+  useEffect(() => {
+    if (!token) {
+      // Loads again (clearing this) once a session arrives
+      setError('Sign in to load order history');
+      setLoading(false);
+      return;
+    }
+    const controller = new AbortController();
+
+    const loadOrders = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const from = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const params = new URLSearchParams({ from, limit: String(ORDER_LIMIT), sort: 'created_at', order: 'desc' });
+        const res = await fetch(`${API.b2b.orders()}?${params.toString()}`, {
+          headers: { Authorization: `Bearer ${token}` },
+          signal: controller.signal,
+        });
+        if (!res.ok) throw new Error(`Failed to load orders (${res.status})`);
+        const data = await res.json();
+        setOrders(data.orders || []);
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          console.error('[PricingSimulator] Load error:', err);
+          setError(err.message || 'Failed to load orders');
+        }
+      } finally {
+        // An aborted load was replaced by a newer one that's still running
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    loadOrders();
+    return () => controller.abort();
+  }, [token, lookbackDays]);
+
+  const result = useMemo(
+    () => simulateRuleSet(orders, currentRules, draftRules, getShopPricingOptions(shop)),
+    [orders, currentRules, draftRules, shop]
+  );
+
+  return (
+    <div className="px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-xs font-bold text-gray-800">Impact on past orders</div>
+          <div className="text-[11px] text-gray-400">
+            {loading
+              ? 'Loading order history...'
+              : `${result.lineCount} line${result.lineCount !== 1 ? 's' : ''} replayed · ${result.changedCount} would change price`}
+          </div>
+        </div>
+        <div className="flex gap-1">
+          {LOOKBACK_OPTIONS.map((opt) => (
+            <button
+              key={opt.days}
+              onClick={() => setLookbackDays(opt.days)}
+              className={`px-2 py-0.5 text-[11px] rounded-full border transition-colors ${
+                lookbackDays === opt.days
+                  ? 'border-gray-900 bg-gray-900 text-white font-semibold'
+                  : 'border-gray-200 bg-white text-gray-600 hover:border-gray-300'
+              }`}
+            >
+              {opt.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <div className="text-xs text-red-600">{error}</div>}
+
+      {!loading && !error && result.lineCount === 0 && (
+        <div className="text-xs text-gray-400">No orders in this period to replay.</div>
+      )}
+
+      {!loading && !error && result.lineCount > 0 && (
+        <>
+          <div className="grid grid-cols-3 gap-3">
+            {[
+              { label: 'Avg list price', current: result.current.avgList, draft: result.draft.avgList, delta: formatDelta(result.delta.avgList) },
+              { label: 'Gross profit', current: result.current.profit, draft: result.draft.profit, delta: formatDelta(result.delta.profit) },
+              { label: 'Margin', current: `${result.current.marginPct}%`, draft: `${result.draft.marginPct}%`, delta: formatDelta(result.delta.marginPct, ' pts') },
+            ].map((stat) => (
+              <div key={stat.label} className="px-3 py-2 bg-white border border-gray-200 rounded-lg">
+                <div className="text-[10px] font-semibold text-gray-400 uppercase tracking-wider">{stat.label}</div>
+                <div className="text-sm font-mono text-gray-900">
+                  {typeof stat.draft === 'number' ? formatMoney(stat.draft) : stat.draft}
+                </div>
+                <div className="text-[11px] font-mono">
+                  {stat.delta}
+                  <span className="text-gray-400"> vs {typeof stat.current === 'number' ? formatMoney(stat.current) : stat.current}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {result.mostAffected.length > 0 && (
+            <div>
+              <div className="text-[10px] font-semibold text-gray-400 uppercase tracking-wider mb-1">Most affected lines</div>
+              <div className="divide-y divide-gray-100 bg-white border border-gray-200 rounded-lg">
+                {result.mostAffected.map(({ order, currentList, draftList, delta }, i) => (
+                  <div key={order.id || i} className="px-3 py-1.5 flex items-center gap-3 text-[11px]">
+                    <span className="flex-1 min-w-0 truncate text-gray-700">
+                      <span className="font-semibold">{order.brand}</span> {order.part_name}
+                      {order.quantity > 1 && <span className="text-gray-400"> × {order.quantity}</span>}
+                    </span>
+                    <span className="font-mono text-gray-400">{formatMoney(currentList)} → </span>
+                    <span className="font-mono text-gray-900">{formatMoney(draftList)}</span>
+                    <span className="w-16 text-right font-mono">{formatDelta(delta)}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -6,18 +6,31 @@
  *   - Product image (eBay image with tier-colored brand initial fallback)
  *   - Part name + part number
  *   - Brand with tier badge (Premium/Quality/Economy)
- *   - Vendor with color dot
- *   - Shop Cost (what shop pays)
- *   - List Price (what customer pays, from margin rules)
+ *   - Vendor with color dot — when several vendors list the same part
+ *     (brand + part number), "+N offers" expands a per-vendor list with
+ *     cost, delivery, fitment and margin, each with its own Add button
+ *   - Shop Cost (landed: part + shipping + core, net of any vendor rebate
+ *     or fee), with the shipping / core / adjustment split underneath
+ *   - List Price (what customer pays, from margin rules) — flagged when a
+ *     guardrail (min profit, margin cap, MSRP ceiling) moved the price, in
+ *     red when a ceiling sat below cost or the min-profit floor;
+ *     click for a "Why this price?" popover tracing rules and arithmetic
+ *   - Per Unit cost — listing cost ÷ pack size, so a "Pair" of rotors
+ *     compares with singles (kit contents show under the part name)
  *   - Margin ($ amount + %, always green)
  *   - Delivery ETA (color-coded: green ≤4h, amber ≤24h, gray >24h)
  *   - Fitment status (✓ Verified / ~ Likely / ? Unknown)
- *   - Add to Order button
+ *   - Quantity stepper + Add to Order button (shows "Added" once the part is
+ *     on the draft RO). Quantity starts at the part's pair/set default; when
+ *     it's above 1 the cost, list and margin columns show the extended total
  * 
  * Marcus's Pick gets an amber highlight banner when that sort is active.
+ * The keyboard-focused row (j/k on ResultsPage) gets a dark inset ring.
  */
 
+import { useState, useEffect, useRef } from 'react';
 import { useShop } from '../context/ShopContext';
+import { GUARDRAIL_LABELS, describeRuleTarget, formatMarkup } from '../utils/marginCalculator';
 
 const TIER_CONFIG = {
   best: { label: 'Premium', bg: 'bg-purple-50', text: 'text-purple-700', border: 'border-purple-200', initialBg: '#7c3aed' },
@@ -40,6 +53,43 @@ const FITMENT_CONFIG = {
   unknown: { icon: '?', label: 'Unknown', className: 'text-gray-400 bg-gray-50 border-gray-200' },
 };
 
+/**
+ * Tooltip text for guardrail adjustments, e.g. "Min profit $: $4.20 → $8.00",
+ * noting a floor that overrode a ceiling.
+ */
+function describeGuardrails(adjustments) {
+  return adjustments
+    .map((a) => {
+      const line = `${GUARDRAIL_LABELS[a.type] || a.type}: $${a.from.toFixed(2)} → $${a.to.toFixed(2)}`;
+      return a.conflict ? `${line} (overrides ${GUARDRAIL_LABELS[a.conflict] || a.conflict})` : line;
+    })
+    .join('\n');
+}
+
+/**
+ * Tooltip text for a landed-cost breakdown, noting which parts the margin
+ * rule marked up and which passed through at cost, and any vendor
+ * adjustment on top.
+ */
+function describeLandedCost(landed, adjustment, cost) {
+  const treatment = (markedUp) => (markedUp ? 'marked up' : 'at cost');
+  const signed = (n) => `${n < 0 ? '−' : '+'}$${Math.abs(n).toFixed(2)}`;
+  return [
+    `Part: $${landed.part.toFixed(2)}`,
+    landed.shipping > 0 && `Shipping: $${landed.shipping.toFixed(2)} (${treatment(landed.markedUp.shipping)})`,
+    landed.core > 0 && `Core charge: $${landed.core.toFixed(2)} (${treatment(landed.markedUp.core)})`,
+    `Landed: $${landed.total.toFixed(2)}`,
+    adjustment && `${adjustment.vendor} ${adjustment.note || (adjustment.amount < 0 ? 'rebate' : 'fee')}: ${signed(adjustment.amount)}`,
+    adjustment && `True cost: $${cost.toFixed(2)}`,
+  ].filter(Boolean).join('\n');
+}
+
+const TRACE_STATUS = {
+  winner: { icon: '✓', className: 'text-green-600' },
+  outranked: { icon: '–', className: 'text-gray-400' },
+  no_match: { icon: '✕', className: 'text-gray-300' },
+};
+
 function getDeliveryColor(hours) {
   if (hours <= 4) return 'text-green-600';
   if (hours <= 24) return 'text-amber-600';
@@ -62,15 +112,42 @@ export default function ResultRow({
   isMarcusPick,
   showMarcusBanner,
   onAddToOrder,
+  isInCart,
+  isFocused,
+  quantity = 1,
+  onQuantityChange,
+  isOfferInCart,
 }) {
   const { shop } = useShop();
   const accentColor = shop?.accent_color || '#dc2626';
   const tier = TIER_CONFIG[part.tier] || TIER_CONFIG.good;
   const fitment = FITMENT_CONFIG[part.fitment] || FITMENT_CONFIG.unknown;
   const vendorColor = VENDOR_COLORS[part.vendor] || '#6b7280';
+  const guardrails = part.appliedRule?.guardrails || [];
+  const landed = part.landedCost;
+  const adjustment = part.vendorAdjustment;
+  const lastGuardrail = guardrails[guardrails.length - 1];
+  const guardrailConflict = guardrails.find((g) => g.conflict);
+  const [showTrace, setShowTrace] = useState(false);
+  const [showOffers, setShowOffers] = useState(false);
+  const otherOffers = (part.offers || []).filter((o) => o.id !== part.id);
+  const traceRef = useRef(null);
+
+  // ── Close the price trace on outside click ──────────────────────
+  useEffect(() => {
+    if (!showTrace) return;
+    const handleClick = (e) => {
+      if (traceRef.current && !traceRef.current.contains(e.target)) setShowTrace(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [showTrace]);
 
   return (
-    <div className={`group transition-colors ${isSelected ? 'bg-blue-50/50' : 'hover:bg-gray-50/50'}`}>
+    <div
+      id={`result-${part.id}`}
+      className={`group transition-colors ${isSelected ? 'bg-blue-50/50' : 'hover:bg-gray-50/50'} ${isFocused ? 'ring-2 ring-inset ring-gray-900' : ''}`}
+    >
       {/* Marcus's Pick banner */}
       {showMarcusBanner && isMarcusPick && (
         <div className="px-5 py-1.5 bg-amber-50 border-b border-amber-100 flex items-center gap-2">
@@ -143,6 +220,14 @@ export default function ResultRow({
                 <span>{part.material}</span>
               </>
             )}
+            {part.kitContents && (
+              <>
+                <span>·</span>
+                <span className="truncate" title={`Kit includes: ${part.kitContents.join(', ')}`}>
+                  Kit w/ {part.kitContents.join(', ')}
+                </span>
+              </>
+            )}
           </div>
         </div>
 
@@ -152,18 +237,120 @@ export default function ResultRow({
             <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ background: vendorColor }} />
             <span className="text-xs font-medium text-gray-700">{part.vendor}</span>
           </div>
+          {otherOffers.length > 0 && (
+            <button
+              onClick={() => setShowOffers((s) => !s)}
+              className="text-[10px] font-medium text-blue-600 hover:text-blue-800"
+              title="Same part from other vendors"
+            >
+              +{otherOffers.length} offer{otherOffers.length !== 1 ? 's' : ''} {showOffers ? '▴' : '▾'}
+            </button>
+          )}
         </div>
 
         {/* Shop Cost */}
         <div className="w-20 flex-shrink-0 text-right">
           <div className="text-xs text-gray-400 mb-0.5">Cost</div>
           <div className="text-sm font-semibold text-gray-900 font-mono">${part.cost.toFixed(2)}</div>
+          {landed && (landed.shipping > 0 || landed.core > 0 || adjustment) && (
+            <div
+              className="text-[10px] text-gray-400 leading-tight cursor-help"
+              title={describeLandedCost(landed, adjustment, part.cost)}
+            >
+              {landed.core > 0 && <div className="text-amber-600">incl. ${landed.core.toFixed(2)} core</div>}
+              {landed.shipping > 0 && <div>incl. ${landed.shipping.toFixed(2)} ship</div>}
+              {adjustment && (
+                <div className={adjustment.amount < 0 ? 'text-green-600' : 'text-gray-500'}>
+                  {adjustment.amount < 0 ? `−$${(-adjustment.amount).toFixed(2)} rebate` : `+$${adjustment.amount.toFixed(2)} fee`}
+                </div>
+              )}
+            </div>
+          )}
+          {quantity > 1 && (
+            <div className="text-[10px] text-gray-500 font-mono">×{quantity} = ${(part.cost * quantity).toFixed(2)}</div>
+          )}
+        </div>
+
+        {/* Per Unit */}
+        <div className="w-16 flex-shrink-0 text-right">
+          <div className="text-xs text-gray-400 mb-0.5">Per unit</div>
+          <div className={`text-sm font-mono ${part.packQuantity > 1 ? 'font-semibold text-gray-900' : 'text-gray-400'}`}>
+            ${part.unitCost.toFixed(2)}
+          </div>
+          {part.packQuantity > 1 && (
+            <div className="text-[10px] font-medium text-blue-600" title={`Listing is a pack of ${part.packQuantity} — cost, list and margin are per pack`}>
+              pack of {part.packQuantity}
+            </div>
+          )}
         </div>
 
         {/* List Price */}
-        <div className="w-20 flex-shrink-0 text-right">
-          <div className="text-xs text-gray-400 mb-0.5">List</div>
-          <div className="text-sm font-medium text-gray-600 font-mono">${part.listPrice.toFixed(2)}</div>
+        <div ref={traceRef} className="relative w-20 flex-shrink-0 text-right">
+          <div className="text-xs text-gray-400 mb-0.5 truncate">
+            List{part.priceLevel && <span className="text-blue-600"> · {part.priceLevel.name}</span>}
+          </div>
+          <button
+            onClick={() => setShowTrace((s) => !s)}
+            disabled={!part.priceTrace}
+            className="text-sm font-medium text-gray-600 font-mono underline decoration-dotted decoration-gray-300 underline-offset-2 hover:text-gray-900 disabled:no-underline"
+            title="Why this price?"
+          >
+            ${part.listPrice.toFixed(2)}
+          </button>
+          {guardrails.length > 0 && (
+            <div
+              className={`text-[10px] font-medium cursor-help ${guardrailConflict ? 'text-red-600' : 'text-amber-600'}`}
+              title={describeGuardrails(guardrails)}
+            >
+              {guardrailConflict
+                ? `⚠ ${GUARDRAIL_LABELS[guardrailConflict.conflict]} below floor`
+                : `${lastGuardrail.to > guardrails[0].from ? '▲' : '▼'} ${GUARDRAIL_LABELS[lastGuardrail.type]}`}
+            </div>
+          )}
+          {quantity > 1 && (
+            <div className="text-[10px] text-gray-500 font-mono">×{quantity} = ${(part.listPrice * quantity).toFixed(2)}</div>
+          )}
+
+          {showTrace && part.priceTrace && (
+            <div className="absolute right-0 top-full mt-1 w-80 bg-white rounded-xl border border-gray-200 shadow-lg z-30 text-left">
+              <div className="px-3 py-2 border-b border-gray-100 text-[10px] font-semibold text-gray-400 uppercase tracking-wider">
+                Why ${part.listPrice.toFixed(2)}?
+              </div>
+
+              <div className="px-3 py-2 space-y-1 border-b border-gray-100">
+                {part.priceTrace.steps.map((step, i) => (
+                  <div key={i} className="flex items-start justify-between gap-3 text-[11px]">
+                    <span className="text-gray-500">{step.label}</span>
+                    <span className="font-mono text-gray-800 flex-shrink-0">${step.value.toFixed(2)}</span>
+                  </div>
+                ))}
+              </div>
+
+              <div className="px-3 py-2">
+                <div className="text-[11px] text-gray-700 mb-1.5">{part.priceTrace.reason}</div>
+                <div className="space-y-1 max-h-40 overflow-y-auto scrollbar-thin">
+                  {part.priceTrace.candidates.map((c, i) => {
+                    const status = TRACE_STATUS[c.status];
+                    return (
+                      <div key={c.rule.id || i} className="flex items-start gap-1.5 text-[11px]">
+                        <span className={`w-3 flex-shrink-0 font-bold ${status.className}`}>{status.icon}</span>
+                        <div className="min-w-0">
+                          <span className={c.status === 'winner' ? 'font-semibold text-gray-900' : 'text-gray-600'}>
+                            {describeRuleTarget(c.rule)} · {formatMarkup(c.rule)}
+                          </span>
+                          {c.rule.priority ? <span className="text-gray-400"> · P{c.rule.priority}</span> : null}
+                          <div className="text-[10px] text-gray-400">{c.reason}</div>
+                        </div>
+                      </div>
+                    );
+                  })}
+                  {part.priceTrace.candidates.length === 0 && (
+                    <div className="text-[11px] text-gray-400">No margin rules configured</div>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Margin */}
@@ -173,6 +360,12 @@ export default function ResultRow({
             +${part.margin.toFixed(2)}
             <span className="text-[10px] font-medium text-green-500 ml-1">{part.marginPct.toFixed(0)}%</span>
           </div>
+          {part.packQuantity > 1 && (
+            <div className="text-[10px] text-green-600 font-mono">+${part.unitMargin.toFixed(2)}/ea</div>
+          )}
+          {quantity > 1 && (
+            <div className="text-[10px] text-green-600 font-mono">×{quantity} = +${(part.margin * quantity).toFixed(2)}</div>
+          )}
         </div>
 
         {/* Delivery */}
@@ -191,16 +384,93 @@ export default function ResultRow({
         </div>
 
         {/* Action */}
-        <div className="w-20 flex-shrink-0 text-right">
-          <button
-            onClick={() => onAddToOrder(part)}
-            className="px-3 py-1.5 text-[11px] font-semibold text-white rounded-lg transition-all hover:opacity-90"
-            style={{ background: accentColor }}
-          >
-            Add
-          </button>
+        <div className="w-28 flex-shrink-0 flex items-center justify-end gap-1.5">
+          {onQuantityChange && (
+            <div className="flex items-center border border-gray-200 rounded-lg text-[11px]" title="Quantity to add">
+              <button
+                onClick={() => onQuantityChange(part, quantity - 1)}
+                disabled={quantity <= 1}
+                className="px-1.5 py-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+              >
+                −
+              </button>
+              <span className="w-4 text-center font-semibold text-gray-700">{quantity}</span>
+              <button
+                onClick={() => onQuantityChange(part, quantity + 1)}
+                className="px-1.5 py-1 text-gray-400 hover:text-gray-700"
+              >
+                +
+              </button>
+            </div>
+          )}
+          {isInCart ? (
+            <button
+              onClick={() => onAddToOrder(part)}
+              className="px-2.5 py-1.5 text-[11px] font-semibold text-green-700 bg-green-50 border border-green-200 rounded-lg transition-colors hover:bg-green-100"
+              title="Already on the repair order — click to add another"
+            >
+              ✓ Added
+            </button>
+          ) : (
+            <button
+              onClick={() => onAddToOrder(part)}
+              className="px-3 py-1.5 text-[11px] font-semibold text-white rounded-lg transition-all hover:opacity-90"
+              style={{ background: accentColor }}
+            >
+              {quantity > 1 ? `Add ${quantity}` : 'Add'}
+            </button>
+          )}
         </div>
       </div>
+
+      {/* ── Vendor offers for this part ─────────────────────────── */}
+      {showOffers && otherOffers.length > 0 && (
+        <div className="ml-32 mr-5 mb-3 rounded-xl border border-gray-200 bg-white divide-y divide-gray-100">
+          {part.offers.map((offer) => {
+            const offerFitment = FITMENT_CONFIG[offer.fitment] || FITMENT_CONFIG.unknown;
+            // Keep the row's quantity when the offer comes in the same pack size
+            const offerQuantity = offer.packQuantity === part.packQuantity ? quantity : undefined;
+            const inCart = isOfferInCart?.(offer);
+            return (
+              <div key={offer.id} className="px-3 py-2 flex items-center gap-4 text-xs">
+                <div className="flex-1 min-w-0 flex items-center gap-1.5">
+                  <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ background: VENDOR_COLORS[offer.vendor] || '#6b7280' }} />
+                  <span className="font-medium text-gray-700">{offer.vendor}</span>
+                  {offer.id === part.id && <span className="text-[10px] text-gray-400">· shown above</span>}
+                </div>
+                <div className="w-24 text-right font-mono font-semibold text-gray-900">
+                  ${offer.cost.toFixed(2)}
+                  {offer.packQuantity > 1 && (
+                    <div className="text-[10px] font-normal text-gray-400">${offer.unitCost.toFixed(2)}/ea</div>
+                  )}
+                </div>
+                <div className={`w-20 text-center font-semibold ${getDeliveryColor(offer.deliveryHours)}`}>
+                  {getDeliveryLabel(offer.deliveryHours)}
+                </div>
+                <div className="w-24 text-center">
+                  <span className={`inline-flex items-center gap-1 text-[10px] font-medium px-2 py-0.5 rounded-full border ${offerFitment.className}`}>
+                    <span>{offerFitment.icon}</span> {offerFitment.label}
+                  </span>
+                </div>
+                <div className="w-24 text-right font-mono font-bold text-green-600">
+                  +${offer.margin.toFixed(2)}
+                  <span className="text-[10px] font-medium text-green-500 ml-1">{offer.marginPct.toFixed(0)}%</span>
+                </div>
+                <div className="w-20 text-right">
+                  <button
+                    onClick={() => onAddToOrder(offer, offerQuantity)}
+                    className={inCart
+                      ? 'px-2.5 py-1 text-[11px] font-semibold text-green-700 bg-green-50 border border-green-200 rounded-lg hover:bg-green-100'
+                      : 'px-2.5 py-1 text-[11px] font-semibold text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-100'}
+                  >
+                    {inCart ? '✓ Added' : 'Add'}
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
     </div>
   );
 }
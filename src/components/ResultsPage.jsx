@@ -7,31 +7,54 @@
  * URL params:
  *   Single-part:
  *     ?q=brake+pads&year=2019&make=Honda&model=Accord&vin=...
+ *     ?q=brake+rotors&qty=[2]&...     (pair/set quantity, see utils/resultsUrl)
  *     ?marcus=grinding+noise+from+front+brakes
+ *   Marcus chat hand-off (single or multi-part, from MarcusChat):
+ *     ...&marcus_summary=Worn+front+pads+and+scored+rotors
  *   Multi-part (from RelatedPartsDrawer):
  *     ?q=front+struts&parts=["front+struts","rear+shocks","strut+mounts"]
  *       &labels=["Front Struts","Rear Shocks","Strut Mounts"]
+ *       &qty=[2,2,2]
  *       &year=2019&make=Honda&model=Accord
  * 
  * Flow:
  *   1. Parse URL params for query + vehicle context
  *   2a. Single-part: Call /api/parts/search with query + vehicle
  *   2b. Multi-part: Run parallel /api/parts/search for each part
- *   3. Map API response to B2B result format
- *   4. Enrich each result with margin calculations from shop rules
- *   5. Apply client-side filters + sort
+ *   2c. Marcus: diagnose, then MarcusPartsReview lets the writer edit the
+ *       proposed parts; confirming re-routes here as a multi-part search
+ *   3. Map API response to B2B result format, reading pack size ("Set of 2",
+ *      "4-Pack") and kit contents from the title so cost sorts per unit
+ *   4. Enrich each result with margin calculations from shop rules and the
+ *      vehicle's customer price level (PriceLevelSelect)
+ *   5. Apply client-side filters, fold duplicate listings (same brand + part
+ *      number) into one row with per-vendor offers, then sort
  *   6. Render FilterSidebar + SortTabs + ResultRow grid (with group dividers for multi-part)
+ *   7. "Add" puts parts on the vehicle's draft repair order (cart in ShopContext)
+ *      at the row's quantity — defaulted from the pair/set rules in
+ *      config/relatedParts (two front rotors, one pad set per axle)
+ *
+ * Keyboard (ignored while typing): j/k move between rows, x selects,
+ * Enter adds the focused row, / focuses Smart Filter, 1–4 pick a sort tab.
  */
 
 import { useState, useMemo, useCallback, useEffect } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
 import { useShop } from '../context/ShopContext';
-import { enrichPartWithMargin } from '../utils/marginCalculator';
+import { enrichPartWithMargin, getShopPricingOptions } from '../utils/marginCalculator';
+import { classifyPartType } from '../config/partCategories';
+import { mapSourceToVendor } from '../config/vendors';
+import { getDefaultQuantity } from '../config/relatedParts';
+import { getCartLineId } from '../utils/cart';
+import { buildResultsUrl } from '../utils/resultsUrl';
+import useHotkeys from '../hooks/useHotkeys';
 import API from '../config/api';
 import FilterSidebar from './FilterSidebar';
-import SortTabs from './SortTabs';
+import SortTabs, { SORT_OPTIONS } from './SortTabs';
 import ResultRow from './ResultRow';
 import MarcusAvatar from './MarcusAvatar';
+import MarcusPartsReview from './MarcusPartsReview';
+import PriceLevelSelect from './PriceLevelSelect';
 
 const DEFAULT_FILTERS = {
   brands: [],
@@ -78,18 +101,27 @@ const KNOWN_BRANDS = [
  * Map a raw API result into the B2B result format that ResultRow expects.
  * Handles both the unified-result schema and transformResultForFrontend format.
  * Optionally tags with _groupLabel for multi-part grouped display.
+ * Tags partType (a partCategories leaf key) from the query, group label and
+ * title so category margin rules can match, and packQuantity / kitContents
+ * from the title (see detectPack).
  */
-function mapApiResult(raw, index, groupLabel) {
+function mapApiResult(raw, index, groupLabel, searchQuery) {
   // Detect format: consolidated (from aggregator) vs raw unified result
   const isConsolidated = !!(raw.bestPrice || raw.sources);
 
-  let price, brand, partNumber, title, imageUrl, shippingDays, freeShipping;
+  let landed, retailPrice, brand, partNumber, title, imageUrl, shippingDays, freeShipping;
   let fitVerified, fitConfidence, tier, source, sourceUrl, affiliateUrl, score;
 
   if (isConsolidated) {
     // ── Consolidated part format (Kayak model) ──────────────
     const bestSrc = raw.sources?.find((s) => s.status === 'active') || raw.sources?.[0] || {};
-    price = raw.bestPrice?.totalPrice || raw.bestPrice?.price || bestSrc.totalPrice || bestSrc.price || 0;
+    landed = extractLandedCost({
+      price: raw.bestPrice?.price || bestSrc.price,
+      totalPrice: raw.bestPrice?.totalPrice || bestSrc.totalPrice,
+      shipping: raw.bestPrice?.shippingCost ?? bestSrc.shipping?.cost ?? bestSrc.shippingCost,
+      core: raw.coreCharge ?? raw.core_charge ?? bestSrc.coreCharge,
+    });
+    retailPrice = raw.msrp || raw.retailPrice || bestSrc.msrp || bestSrc.listPrice || null;
     brand = raw.brand || extractBrandFromTitle(raw.title || raw.fullTitle || '') || 'Unknown';
     partNumber = raw.partNumber || bestSrc.partNumber || '';
     title = raw.title || raw.fullTitle || 'Auto Part';
@@ -109,7 +141,13 @@ function mapApiResult(raw, index, groupLabel) {
       : 'better';
   } else {
     // ── Raw unified result format (original) ────────────────
-    price = raw.price || raw.totalPrice || 0;
+    landed = extractLandedCost({
+      price: raw.price,
+      totalPrice: raw.totalPrice,
+      shipping: raw.shipping?.cost ?? raw.shippingCost ?? raw.shipping_cost,
+      core: raw.coreCharge ?? raw.core_charge,
+    });
+    retailPrice = raw.msrp || raw.retailPrice || raw.listPrice || null;
     brand = raw.brand || extractBrandFromTitle(raw.title || raw.name || '') || 'Unknown';
     partNumber = raw.partNumber || raw.part_number || '';
     title = raw.title || raw.name || 'Auto Part';
@@ -146,9 +184,14 @@ function mapApiResult(raw, index, groupLabel) {
     brand,
     partNumber,
     material: detectMaterial(title),
+    ...detectPack(title),
+    partType: classifyPartType(searchQuery, groupLabel, title),
     tier,
     vendor: mapSourceToVendor(source),
-    cost: price,
+    cost: landed.cost,
+    shippingCost: landed.shippingCost,
+    coreCharge: landed.coreCharge,
+    retailPrice,
     deliveryHours,
     fitment,
     imageUrl,
@@ -161,6 +204,82 @@ function mapApiResult(raw, index, groupLabel) {
   };
 }
 
+/**
+ * Map a raw API result into one result per vendor offer. The consolidated
+ * format lists every vendor under `sources`; each live one becomes its own
+ * offer so consolidateOffers() can show them side by side. Ended or sold-out
+ * sources (any status other than 'active') are dropped so they can't win
+ * best offer. Raw results are one offer.
+ */
+function mapApiOffers(raw, index, groupLabel, searchQuery) {
+  const sources = (raw.sources || []).filter((src) => !src.status || src.status === 'active');
+  if (sources.length <= 1) return [mapApiResult(raw, index, groupLabel, searchQuery)];
+
+  const baseId = raw.id || `result-${groupLabel || 'single'}-${index}`;
+  return sources.map((src, i) => ({
+    ...mapApiResult({ ...raw, bestPrice: null, sources: [src] }, index, groupLabel, searchQuery),
+    id: `${baseId}-${i}`,
+  }));
+}
+
+const normalizePartNumber = (partNumber) => (partNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Fold offers for the same part — same brand and normalized part number,
+ * within the same multi-part group — into one row, so the writer picks the
+ * part first and then the source. The row is the best offer under the
+ * current sort; `offers` holds every vendor's listing, best first, and
+ * `groupKey` stays the same when re-sorting changes the best offer. Results
+ * without a part number stay on their own.
+ *
+ * @param {Array} parts - Enriched, filtered results
+ * @param {Function} sorter - Current sort comparator
+ * @returns {Array} One result per part, each with `groupKey` and `offers`
+ */
+function consolidateOffers(parts, sorter) {
+  const groups = new Map();
+  for (const part of parts) {
+    const partNumber = normalizePartNumber(part.partNumber);
+    const key = partNumber
+      ? `${part._groupLabel || ''}|${part.brand.toLowerCase()}|${partNumber}`
+      : part.id;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(part);
+  }
+  return [...groups].map(([groupKey, offers]) => {
+    const ranked = [...offers].sort(sorter);
+    return { ...ranked[0], groupKey, offers: ranked };
+  });
+}
+
+/**
+ * Landed cost of a listing: item price + shipping + core deposit. Vendors
+ * report shipping either as its own amount or folded into totalPrice; core
+ * charges always come separately.
+ */
+function extractLandedCost({ price, totalPrice, shipping, core }) {
+  const round = (n) => Math.round(n * 100) / 100;
+  const item = Number(price) || 0;
+  const total = Number(totalPrice) || 0;
+  let shippingCost = Number(shipping) || 0;
+  if (!shippingCost && item > 0 && total > item) shippingCost = total - item;
+  const partCost = item || Math.max(total - shippingCost, 0);
+  const coreCharge = Number(core) || 0;
+  return {
+    cost: round(partCost + shippingCost + coreCharge),
+    shippingCost: round(shippingCost),
+    coreCharge: round(coreCharge),
+  };
+}
+
+/**
+ * Tag a result with how many listings make up the job's default quantity:
+ * two rotors is one "Pair" listing but two single ones.
+ */
+function withSuggestedQuantity(part, units) {
+  return { ...part, suggestedQuantity: Math.max(1, Math.ceil(units / part.packQuantity)) };
+}
+
 function extractBrandFromTitle(title) {
   const titleLower = title.toLowerCase();
   for (const brand of KNOWN_BRANDS) {
@@ -178,13 +297,49 @@ function detectMaterial(title) {
   return null;
 }
 
-function mapSourceToVendor(source) {
-  const map = {
-    'ebay': 'eBay', 'amazon': 'Amazon', 'autozone': 'AutoZone Pro',
-    'oreilly': "O'Reilly Pro", 'napa': 'NAPA', 'advance': 'Advance Auto',
-    'rockauto': 'RockAuto', 'worldpac': 'WorldPac',
-  };
-  return map[source?.toLowerCase()] || source || 'eBay';
+// Pack sizes as listings write them: "Set of 2", "Pack of 4", "4-Pack",
+// "8 pcs", "2x", "x2", "(Qty 2)". "2-Piece" / "2-pc" describe how a rotor
+// is built, not how many are in the box, so singular piece words and bare
+// numbers in parentheses don't count.
+const PACK_PATTERNS = [
+  /\b(?:set|pack|box|kit) of (\d+)\b/,
+  /\b(\d+)[\s-]?(?:pack|pk|pcs|count|ct)\b/,
+  /(?:^|\s)(\d+)x\s/,
+  /\sx(\d+)\b/,
+  /\((?:qty|quantity)[:\s]*(\d+)\)/,
+];
+
+/**
+ * Units per listing and what a kit bundles, from the listing title.
+ * "Front Brake Rotors Pair" → 2; "Spark Plug 4-Pack" → 4; "Brake Pad Kit
+ * with Hardware" → 1 with kitContents ['Hardware'].
+ *
+ * @param {string} title
+ * @returns {{ packQuantity: number, kitContents: string[]|null }}
+ */
+function detectPack(title) {
+  const lower = title.toLowerCase();
+  let packQuantity = 1;
+  for (const pattern of PACK_PATTERNS) {
+    const n = parseInt(lower.match(pattern)?.[1], 10);
+    if (n >= 2 && n <= 50) {
+      packQuantity = n;
+      break;
+    }
+  }
+  if (packQuantity === 1 && /\bpair\b/.test(lower)) packQuantity = 2;
+
+  let kitContents = null;
+  const withMatch = /\bkit\b/.test(lower) && lower.match(/\b(?:with|w\/)\s*([a-z][a-z\s&,]*?)(?:\s*[-–(|,]|\s+for\b|$)/);
+  if (withMatch) {
+    kitContents = withMatch[1]
+      .split(/\s*(?:&|\band\b)\s*/)
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => item.replace(/\b\w/g, (c) => c.toUpperCase()));
+  }
+
+  return { packQuantity, kitContents: kitContents?.length ? kitContents : null };
 }
 
 function cleanTitle(title, brand) {
@@ -202,11 +357,12 @@ function cleanTitle(title, brand) {
 export default function ResultsPage() {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
-  const { shop, marginRules, excludedBrands, session } = useShop();
+  const { shop, marginRules, excludedBrands, session, vehicle, cart, addToCart } = useShop();
   const accentColor = shop?.accent_color || '#dc2626';
 
   const query = searchParams.get('q') || searchParams.get('marcus') || '';
   const isMarcusSearch = !!searchParams.get('marcus');
+  const marcusHandoffSummary = searchParams.get('marcus_summary');
   const year = searchParams.get('year');
   const make = searchParams.get('make');
   const model = searchParams.get('model');
@@ -216,6 +372,7 @@ export default function ResultsPage() {
   // ── Multi-part params from RelatedPartsDrawer ───────────────────
   const partsParam = searchParams.get('parts');
   const labelsParam = searchParams.get('labels');
+  const qtyParam = searchParams.get('qty');
   const isMultiPart = !!partsParam;
 
   let partQueries = [];
@@ -230,6 +387,14 @@ export default function ResultsPage() {
     }
   }
 
+  // Pair/set quantities — sent for single-part searches too
+  let partQuantities = [];
+  try {
+    partQuantities = JSON.parse(qtyParam || '[]');
+  } catch {
+    partQuantities = [];
+  }
+
   // Display label: multi-part shows all labels joined, single shows query
   const headerLabel = isMultiPart && partLabels.length > 0
     ? partLabels.join(' + ')
@@ -239,7 +404,7 @@ export default function ResultsPage() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchTime, setSearchTime] = useState(null);
-  const [sortBy, setSortBy] = useState(isMarcusSearch ? 'marcus_pick' : 'best_margin');
+  const [sortBy, setSortBy] = useState(isMarcusSearch || marcusHandoffSummary ? 'marcus_pick' : 'best_margin');
   const [filters, setFilters] = useState(DEFAULT_FILTERS);
   const [selectedIds, setSelectedIds] = useState(new Set());
   const [smartFilterActive, setSmartFilterActive] = useState(false);
@@ -249,6 +414,26 @@ export default function ResultsPage() {
   const [collapsedGroups, setCollapsedGroups] = useState(new Set());
   const [marcusSummary, setMarcusSummary] = useState('');
   const [marcusDetails, setMarcusDetails] = useState(null);
+  const [marcusProposal, setMarcusProposal] = useState(null);
+  const [cartNotice, setCartNotice] = useState(null);
+  const [focusedIndex, setFocusedIndex] = useState(-1);
+  const [quantities, setQuantities] = useState({});
+
+  // Vehicle for draft-order lines: the active vehicle when it matches the
+  // URL (keeps trim/engine), otherwise the vehicle described by the URL.
+  const searchVehicle = useMemo(() => {
+    if (!vehicleLabel) return null;
+    if (vehicle && String(vehicle.year) === year && vehicle.make === make && vehicle.model === model) {
+      return vehicle;
+    }
+    return { year, make, model, vin };
+  }, [vehicle, vehicleLabel, year, make, model, vin]);
+
+  const cartLineIds = useMemo(() => new Set(cart.lines.map((l) => l.lineId)), [cart]);
+  const isPartInCart = useCallback(
+    (part) => cartLineIds.has(getCartLineId(part, searchVehicle)),
+    [cartLineIds, searchVehicle]
+  );
 
   // ── Fetch results from API ────────────────────────────────────
   useEffect(() => {
@@ -276,7 +461,7 @@ export default function ResultsPage() {
     /**
      * Fetch results for a single part query and tag each result with the group label.
      */
-    const fetchSinglePart = async (partQuery, label) => {
+    const fetchSinglePart = async (partQuery, label, quantity) => {
       const url = buildSearchUrl(partQuery);
       const response = await fetch(url, { signal: controller.signal });
       if (!response.ok) throw new Error(`Search failed for "${label}" (${response.status})`);
@@ -287,7 +472,9 @@ export default function ResultsPage() {
       else if (data.results && Array.isArray(data.results)) results = data.results;
       else if (data.data && Array.isArray(data.data)) results = data.data;
 
-      return results.map((raw, i) => mapApiResult(raw, i, label));
+      return results
+        .flatMap((raw, i) => mapApiOffers(raw, i, label, partQuery))
+        .map((part) => withSuggestedQuantity(part, quantity));
     };
 
     const fetchResults = async () => {
@@ -296,6 +483,8 @@ export default function ResultsPage() {
       setMarcusStatus(null);
       setMarcusSummary('');
       setMarcusDetails(null);
+      setMarcusProposal(null);
+      setQuantities({});
       const startTime = Date.now();
 
       try {
@@ -307,10 +496,11 @@ export default function ResultsPage() {
           const searchPairs = partQueries.map((q, i) => ({
             query: q,
             label: partLabels[i] || q,
+            quantity: partQuantities[i] || getDefaultQuantity(partLabels[i] || q),
           }));
 
           const results = await Promise.allSettled(
-            searchPairs.map((pair) => fetchSinglePart(pair.query, pair.label))
+            searchPairs.map((pair) => fetchSinglePart(pair.query, pair.label, pair.quantity))
           );
 
           results.forEach((result, i) => {
@@ -354,31 +544,29 @@ export default function ResultsPage() {
             return;
           }
 
+          // Writer confirms/edits the parts before any search runs
           setMarcusSummary(diagData.summary);
           setMarcusDetails(diagData.details);
-          setMarcusStatus('searching');
-
-          // Search for each diagnosed part
-          const searchPairs = diagData.parts.map((partName, i) => ({
-            query: partName,
-            label: diagData.labels[i] || partName,
-          }));
-
-          const results = await Promise.allSettled(
-            searchPairs.map((pair) => fetchSinglePart(pair.query, pair.label))
-          );
-
-          results.forEach((result, i) => {
-            const label = searchPairs[i].label;
-            if (result.status === 'fulfilled' && result.value.length > 0) {
-              allMapped.push(...result.value);
-              groups.push({ label, count: result.value.length });
-            } else {
-              groups.push({ label, count: 0, error: result.reason?.message || null });
-            }
+          setMarcusProposal({
+            summary: diagData.summary,
+            parts: diagData.parts.map((partName, i) => ({
+              query: partName,
+              label: diagData.labels[i] || partName,
+            })),
+            details: diagData.details,
           });
+          setMarcusStatus('review');
+          setSearchTime(Date.now() - startTime);
+          setRawResults([]);
 
-          setMarcusStatus('done');
+          if (token) {
+            fetch(API.b2b.searchHistory(), {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+              body: JSON.stringify({ search_type: 'marcus', query, vehicle_context: vehicleLabel ? { year, make, model, vin } : null }),
+            }).catch(() => {});
+          }
+          return;
 
         } else {
           // ── Single-part: original behavior ──────────────────────
@@ -392,7 +580,10 @@ export default function ResultsPage() {
           else if (data.results && Array.isArray(data.results)) results = data.results;
           else if (data.data && Array.isArray(data.data)) results = data.data;
 
-          allMapped = results.map((raw, i) => mapApiResult(raw, i, null));
+          const quantity = partQuantities[0] || getDefaultQuantity(query);
+          allMapped = results
+            .flatMap((raw, i) => mapApiOffers(raw, i, null, query))
+            .map((part) => withSuggestedQuantity(part, quantity));
         }
 
         setSearchTime(Date.now() - startTime);
@@ -418,12 +609,6 @@ export default function ResultsPage() {
               body: JSON.stringify(entry),
             }).catch(() => {});
           });
-        } else if (token && isMarcusSearch) {
-          fetch(API.b2b.searchHistory(), {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
-            body: JSON.stringify({ search_type: 'marcus', query, vehicle_context: vehicleLabel ? { year, make, model, vin } : null, results_count: filtered.length }),
-          }).catch(() => {});
         }
       } catch (err) {
         if (err.name !== 'AbortError') {
@@ -438,12 +623,16 @@ export default function ResultsPage() {
 
     fetchResults();
     return () => controller.abort();
-  }, [query, year, make, model, vin, excludedBrands, isMultiPart, partsParam, labelsParam]);
+  }, [query, year, make, model, vin, excludedBrands, isMultiPart, partsParam, labelsParam, qtyParam]);
 
   // ── Enrich with margin calculations ───────────────────────────
+  // Keyed on the level id alone: changing the price level only reprices
+  // the loaded rows — the search above doesn't depend on the vehicle
+  const priceLevelId = searchVehicle?.priceLevelId || null;
   const enrichedResults = useMemo(() => {
-    return rawResults.map((part) => enrichPartWithMargin(part, marginRules, part.partType));
-  }, [rawResults, marginRules]);
+    const pricingOptions = getShopPricingOptions(shop, priceLevelId);
+    return rawResults.map((part) => enrichPartWithMargin(part, marginRules, part.partType, pricingOptions));
+  }, [rawResults, marginRules, shop, priceLevelId]);
 
   // ── Derive available filter options ───────────────────────────
   const availableBrands = useMemo(() => [...new Set(enrichedResults.map((p) => p.brand))].sort(), [enrichedResults]);
@@ -469,31 +658,34 @@ export default function ResultsPage() {
       if (filters.vendors.length > 0 && !filters.vendors.includes(part.vendor)) return false;
       if (filters.materials.length > 0 && !filters.materials.includes(part.material)) return false;
       if (filters.tiers.length > 0 && !filters.tiers.includes(part.tier)) return false;
-      if (filters.priceMin > 0 && part.cost < filters.priceMin) return false;
-      if (filters.priceMax < 999 && part.cost > filters.priceMax) return false;
+      // Per unit, like the Lowest Cost sort — a $40 4-pack is $10 each
+      if (filters.priceMin > 0 && part.unitCost < filters.priceMin) return false;
+      if (filters.priceMax < 999 && part.unitCost > filters.priceMax) return false;
       if (filters.inStockOnly && part.deliveryHours > 24) return false;
       return true;
     });
   }, [enrichedResults, filters]);
 
-  // ── Sort results ──────────────────────────────────────────────
+  // ── Consolidate offers + sort results ─────────────────────────
   // For multi-part: sort WITHIN each group to keep groups visually together
   const sortedResults = useMemo(() => {
     const sorter = (a, b) => {
       switch (sortBy) {
-        case 'best_margin': return (b.margin || 0) - (a.margin || 0);
-        case 'lowest_cost': return a.cost - b.cost;
+        case 'best_margin': return (b.unitMargin || 0) - (a.unitMargin || 0);
+        case 'lowest_cost': return a.unitCost - b.unitCost;
         case 'fastest_delivery': return a.deliveryHours - b.deliveryHours;
         case 'marcus_pick': return (b.marcusScore || 0) - (a.marcusScore || 0);
         default: return 0;
       }
     };
 
+    const consolidated = consolidateOffers(filteredResults, sorter);
+
     if ((isMultiPart || isMarcusSearch) && partGroups.length > 0) {
       // Keep group order intact, sort within each group
       const grouped = [];
       for (const group of partGroups) {
-        const groupItems = filteredResults
+        const groupItems = consolidated
           .filter((p) => p._groupLabel === group.label)
           .sort(sorter);
         grouped.push(...groupItems);
@@ -501,7 +693,7 @@ export default function ResultsPage() {
       return grouped;
     }
 
-    return [...filteredResults].sort(sorter);
+    return consolidated.sort(sorter);
   }, [filteredResults, sortBy, isMultiPart, partGroups]);
 
   const marcusPickId = sortBy === 'marcus_pick' && sortedResults.length > 0 ? sortedResults[0].id : null;
@@ -516,47 +708,72 @@ export default function ResultsPage() {
     });
   }, []);
 
-  const handleAddToOrder = useCallback(async (part) => {
-    try {
-      const token = session?.access_token;
-      if (!token) {
-        alert('Session expired. Please sign in again.');
-        return;
-      }
+  const showCartNotice = useCallback((text) => {
+    setCartNotice(text);
+    setTimeout(() => setCartNotice(null), 4000);
+  }, []);
 
-      const response = await fetch(API.b2b.orders(), {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-        },
-        body: JSON.stringify({
-          vehicle_context: vehicleLabel ? { year, make, model } : null,
-          part_name: part.partName,
-          part_number: part.partNumber || null,
-          brand: part.brand,
-          vendor: part.vendor,
-          cost: part.cost,
-          list_price: part.listPrice,
-          source: part.vendor?.toLowerCase() === 'ebay' ? 'ebay' : 'other',
-          source_url: part.affiliateUrl || part.sourceUrl || null,
-        }),
-      });
-
-      if (!response.ok) throw new Error('Failed to create order');
-
-      alert(`✓ Added: ${part.brand} ${part.partName}\nCost: $${part.cost.toFixed(2)} → List: $${part.listPrice.toFixed(2)} → Margin: +$${part.margin.toFixed(2)}`);
-    } catch (err) {
-      console.error('[ResultsPage] Add to order error:', err);
-      alert('Failed to add to order. Please try again.');
-    }
-  }, [session, vehicleLabel, year, make, model]);
+  // Row quantity: the writer's choice, else the part's pair/set default.
+  // Keyed on the consolidated row so it survives a re-sort changing the
+  // best offer; a lone offer (from the offers list) falls back to its id.
+  const getQuantity = useCallback(
+    (part) => quantities[part.groupKey ?? part.id] ?? part.suggestedQuantity ?? 1,
+    [quantities]
+  );
+
+  const handleQuantityChange = useCallback((part, quantity) => {
+    setQuantities((prev) => ({ ...prev, [part.groupKey ?? part.id]: Math.max(1, quantity) }));
+  }, []);
+
+  const handleAddToOrder = useCallback((part, quantity = getQuantity(part)) => {
+    addToCart(part, searchVehicle, quantity);
+    showCartNotice(`Added ${quantity > 1 ? `${quantity} × ` : ''}${part.brand} ${part.partName}`);
+  }, [addToCart, searchVehicle, showCartNotice, getQuantity]);
 
   const handleBulkAddToOrder = useCallback(() => {
     const selected = sortedResults.filter((p) => selectedIds.has(p.id));
-    selected.forEach((part) => handleAddToOrder(part));
+    selected.forEach((part) => addToCart(part, searchVehicle, getQuantity(part)));
     setSelectedIds(new Set());
-  }, [sortedResults, selectedIds, handleAddToOrder]);
+    showCartNotice(`Added ${selected.length} part${selected.length !== 1 ? 's' : ''}`);
+  }, [sortedResults, selectedIds, addToCart, searchVehicle, showCartNotice, getQuantity]);
+
+  // ── Marcus review → multi-part search ─────────────────────────
+  const handleMarcusConfirm = useCallback((queries) => {
+    navigate(buildResultsUrl(queries, { year, make, model, vin }, marcusSummary));
+  }, [navigate, marcusSummary, year, make, model, vin]);
+
+  // ── Keyboard navigation ───────────────────────────────────────
+  // Rows in render order, skipping collapsed groups
+  const navigableResults = useMemo(
+    () => sortedResults.filter((p) => !collapsedGroups.has(p._groupLabel || 'Other')),
+    [sortedResults, collapsedGroups]
+  );
+
+  useEffect(() => {
+    setFocusedIndex(-1);
+  }, [navigableResults]);
+
+  const focusedPart = navigableResults[focusedIndex] || null;
+
+  const moveFocus = (delta) => {
+    if (navigableResults.length === 0) return;
+    const next = Math.min(navigableResults.length - 1, Math.max(0, focusedIndex + delta));
+    setFocusedIndex(next);
+    const el = document.getElementById(`result-${navigableResults[next].id}`);
+    if (el) el.scrollIntoView({ block: 'nearest' });
+  };
+
+  useHotkeys({
+    j: () => moveFocus(1),
+    k: () => moveFocus(-1),
+    x: () => { if (focusedPart) toggleSelect(focusedPart.id); },
+    Enter: () => {
+      if (!focusedPart) return false;
+      handleAddToOrder(focusedPart);
+    },
+    '/': () => document.getElementById('smart-filter-input')?.focus(),
+    ...Object.fromEntries(SORT_OPTIONS.map((opt, i) => [String(i + 1), () => setSortBy(opt.key)])),
+  }, !loading && !error && marcusStatus !== 'review');
 
   // ── Smart Filter handlers ─────────────────────────────────────
   const handleSmartFilterApply = useCallback((parsed, text) => {
@@ -600,6 +817,11 @@ export default function ResultsPage() {
           isMarcusPick={part.id === marcusPickId}
           showMarcusBanner={sortBy === 'marcus_pick'}
           onAddToOrder={handleAddToOrder}
+          quantity={getQuantity(part)}
+          onQuantityChange={handleQuantityChange}
+          isInCart={isPartInCart(part)}
+          isOfferInCart={isPartInCart}
+          isFocused={part.id === focusedPart?.id}
         />
       ));
     }
@@ -660,6 +882,11 @@ export default function ResultsPage() {
             isMarcusPick={part.id === marcusPickId}
             showMarcusBanner={sortBy === 'marcus_pick'}
             onAddToOrder={handleAddToOrder}
+            quantity={getQuantity(part)}
+            onQuantityChange={handleQuantityChange}
+            isInCart={isPartInCart(part)}
+            isOfferInCart={isPartInCart}
+            isFocused={part.id === focusedPart?.id}
           />
         );
       }
@@ -690,24 +917,20 @@ export default function ResultsPage() {
             <h3 className="text-base font-semibold text-gray-800 mb-1">
               {marcusStatus === 'diagnosing'
                 ? 'Marcus is diagnosing...'
-                : marcusStatus === 'searching'
-                  ? 'Searching for parts...'
-                  : isMarcusSearch
-                    ? 'Marcus is analyzing...'
-                    : isMultiPart
-                      ? `Searching ${partQueries.length} parts...`
-                      : 'Searching suppliers...'}
+                : isMarcusSearch
+                  ? 'Marcus is analyzing...'
+                  : isMultiPart
+                    ? `Searching ${partQueries.length} parts...`
+                    : 'Searching suppliers...'}
             </h3>
             <p className="text-sm text-gray-400">
               {marcusStatus === 'diagnosing'
                 ? `Analyzing: "${query}"`
-                : marcusStatus === 'searching' && marcusSummary
-                  ? marcusSummary
-                  : isMarcusSearch
-                    ? 'Diagnosing the issue and finding parts'
-                    : isMultiPart
-                      ? 'Running parallel searches across all vendors'
-                      : 'Checking eBay, Amazon, and local suppliers'}
+                : isMarcusSearch
+                  ? 'Diagnosing the issue and finding parts'
+                  : isMultiPart
+                    ? 'Running parallel searches across all vendors'
+                    : 'Checking eBay, Amazon, and local suppliers'}
             </p>
           </div>
         </div>
@@ -745,6 +968,42 @@ export default function ResultsPage() {
     );
   }
 
+  // ── Marcus review state ───────────────────────────────────────
+  if (marcusStatus === 'review' && marcusProposal) {
+    return (
+      <div className="max-w-screen-2xl mx-auto">
+        <div className="px-6 py-3 bg-white border-b border-gray-200 flex items-center gap-3">
+          <button onClick={() => navigate('/')} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <h1 className="text-base font-bold text-gray-900">{headerLabel}</h1>
+          <span className="text-[10px] px-2 py-0.5 bg-amber-50 text-amber-700 border border-amber-200 rounded-full font-medium inline-flex items-center gap-1"><MarcusAvatar size="xs" /> Marcus</span>
+        </div>
+        <div className="max-w-xl mx-auto px-6 py-10">
+          <div className="flex items-center gap-3 mb-4">
+            <MarcusAvatar size="lg" />
+            <div>
+              <h2 className="text-base font-bold text-gray-900">Review Marcus's parts list</h2>
+              <p className="text-xs text-gray-400">
+                Drop what's already fine, add what's missing{vehicleLabel ? ` · ${vehicleLabel}` : ''}
+              </p>
+            </div>
+          </div>
+          <div className="bg-white rounded-2xl border border-gray-200 p-5">
+            <MarcusPartsReview
+              proposal={marcusProposal}
+              accentColor={accentColor}
+              onSearch={handleMarcusConfirm}
+              onCancel={() => navigate('/')}
+            />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="max-w-screen-2xl mx-auto">
       {/* Search context bar */}
@@ -758,7 +1017,7 @@ export default function ResultsPage() {
           <div>
             <div className="flex items-center gap-2">
               <h1 className="text-base font-bold text-gray-900">{headerLabel}</h1>
-              {isMarcusSearch && (
+              {(isMarcusSearch || marcusHandoffSummary) && (
                 <span className="text-[10px] px-2 py-0.5 bg-amber-50 text-amber-700 border border-amber-200 rounded-full font-medium inline-flex items-center gap-1"><MarcusAvatar size="xs" /> Marcus</span>
               )}
               {isMultiPart && (
@@ -775,6 +1034,7 @@ export default function ResultsPage() {
           </div>
         </div>
         <div className="flex items-center gap-4">
+          <PriceLevelSelect vehicle={searchVehicle} />
           {searchTime && (
             <span className="text-[11px] text-gray-300">{(searchTime / 1000).toFixed(1)}s</span>
           )}
@@ -816,12 +1076,12 @@ export default function ResultsPage() {
       )}
 
       {/* Marcus diagnosis banner — shows what Marcus identified */}
-      {isMarcusSearch && marcusSummary && marcusStatus === 'done' && (
+      {((isMarcusSearch && marcusSummary && marcusStatus === 'done') || (!isMarcusSearch && marcusHandoffSummary)) && (
         <div className="px-6 py-3 bg-amber-50 border-b border-amber-100">
           <div className="flex items-start gap-3">
             <MarcusAvatar size="md" />
             <div className="flex-1 min-w-0">
-              <p className="text-sm font-medium text-amber-900">{marcusSummary}</p>
+              <p className="text-sm font-medium text-amber-900">{isMarcusSearch ? marcusSummary : marcusHandoffSummary}</p>
               {marcusDetails && (
                 <div className="flex flex-wrap gap-2 mt-2">
                   {(marcusDetails.essential || []).map((p, i) => {
@@ -896,11 +1156,12 @@ export default function ResultsPage() {
             <div className="flex-1 text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Part</div>
             <div className="w-24 flex-shrink-0 text-right text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Vendor</div>
             <div className="w-20 flex-shrink-0 text-right text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Cost</div>
+            <div className="w-16 flex-shrink-0 text-right text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Per Unit</div>
             <div className="w-20 flex-shrink-0 text-right text-[10px] font-semibold text-gray-400 uppercase tracking-wider">List</div>
             <div className="w-24 flex-shrink-0 text-right text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Margin</div>
             <div className="w-20 flex-shrink-0 text-center text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Delivery</div>
             <div className="w-20 flex-shrink-0 text-center text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Fitment</div>
-            <div className="w-20 flex-shrink-0" />
+            <div className="w-28 flex-shrink-0 text-right text-[10px] font-semibold text-gray-400 uppercase tracking-wider">Qty</div>
           </div>
 
           {/* Result rows (with group dividers for multi-part) */}
@@ -955,6 +1216,19 @@ export default function ResultsPage() {
           )}
         </div>
       </div>
+
+      {/* Draft repair order notice */}
+      {cartNotice && (
+        <div className="fixed bottom-6 right-6 z-40 bg-gray-900 text-white rounded-xl shadow-lg px-4 py-3 flex items-center gap-4">
+          <span className="text-sm">✓ {cartNotice} to the repair order</span>
+          <button
+            onClick={() => navigate('/cart')}
+            className="text-xs font-semibold text-white/80 hover:text-white underline underline-offset-2"
+          >
+            View RO →
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -5,7 +5,14 @@
  *   1. Shop Profile — Name, address, phone
  *   2. Shop Logo — Drag-and-drop upload (stored in Supabase Storage)
  *   3. Branding — Accent color picker with presets
- *   4. Defaults — Default markup %, tax rate
+ *   4. Defaults — Default markup %, tax rate, price endings
+ *   5. Margin Guardrails — Min profit $, min/max margin %, MSRP ceiling
+ *   6. Customer Price Levels — Named levels (Fleet −10%, Wholesale cost + 15%)
+ *      picked per vehicle on the dashboard and results page
+ *   7. Vendor Cost Adjustments — Rebates (NAPA −5%) and per-part fees (eBay
+ *      +$3 handling) applied to cost before markup, so margins show true cost
+ *   8. Shop Supplies & Fees — Supplies % (with cap) and flat fees such as
+ *      battery disposal, each taxable or not; added to cart and estimate totals
  * 
  * Profile data via GET/PUT /api/b2b/shop.
  * Logo upload via POST /api/b2b/shop/logo (multipart).
@@ -15,6 +22,26 @@
 import { useState, useEffect, useRef } from 'react';
 import { useShop } from '../context/ShopContext';
 import API from '../config/api';
+import { PRICE_ROUNDING_OPTIONS, PRICE_LEVEL_TYPES, VENDOR_ADJUSTMENT_TYPES } from '../utils/marginCalculator';
+import { VENDOR_NAMES } from '../config/vendors';
+import PART_CATEGORIES from '../config/partCategories';
+
+// Blank guardrail inputs mean "off" and are saved as null
+const GUARDRAIL_FIELDS = [
+  { key: 'min_margin_dollars', label: 'Minimum Profit', prefix: '$', help: 'Every part earns at least this many dollars. Stops $3 clips from earning $1.20.' },
+  { key: 'min_margin_pct', label: 'Minimum Margin', suffix: '%', help: 'Gross margin floor, whatever the rule says.' },
+  { key: 'max_margin_pct', label: 'Maximum Margin', suffix: '%', help: 'Gross margin cap — keeps matrix rules sane on expensive parts.' },
+  { key: 'msrp_ceiling_pct', label: 'MSRP Ceiling', suffix: '% of MSRP', help: 'Never list above this share of the retail price when the supplier sends one. 100 = at MSRP.' },
+];
+
+/**
+ * Parse an optional numeric field; blank becomes null.
+ */
+function parseOptional(value) {
+  if (value === '' || value == null) return null;
+  const n = parseFloat(value);
+  return Number.isNaN(n) ? null : n;
+}
 
 const COLOR_PRESETS = [
   { label: 'Red',    value: '#dc2626' },
@@ -41,6 +68,18 @@ export default function SettingsPage() {
     accent_color: '#dc2626',
     default_markup_pct: 35,
     tax_rate: 0,
+    price_rounding: 'none',
+    round_whole_dollar_above: '',
+    min_margin_dollars: '',
+    min_margin_pct: '',
+    max_margin_pct: '',
+    msrp_ceiling_pct: '',
+    price_levels: [],
+    vendor_cost_adjustments: [],
+    shop_supplies_pct: '',
+    shop_supplies_cap: '',
+    shop_supplies_taxable: true,
+    shop_fees: [],
   });
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -63,6 +102,15 @@ export default function SettingsPage() {
         accent_color: shop.accent_color || '#dc2626',
         default_markup_pct: shop.default_markup_pct ?? 35,
         tax_rate: shop.tax_rate ?? 0,
+        price_rounding: shop.price_rounding || 'none',
+        round_whole_dollar_above: shop.round_whole_dollar_above ?? '',
+        ...Object.fromEntries(GUARDRAIL_FIELDS.map((f) => [f.key, shop[f.key] ?? ''])),
+        price_levels: shop.price_levels || [],
+        vendor_cost_adjustments: shop.vendor_cost_adjustments || [],
+        shop_supplies_pct: shop.shop_supplies_pct ?? '',
+        shop_supplies_cap: shop.shop_supplies_cap ?? '',
+        shop_supplies_taxable: shop.shop_supplies_taxable !== false,
+        shop_fees: shop.shop_fees || [],
       });
       setLogoUrl(shop.logo_url || null);
       setLoading(false);
@@ -92,6 +140,26 @@ export default function SettingsPage() {
           accent_color: formData.accent_color,
           default_markup_pct: parseFloat(formData.default_markup_pct) || 35,
           tax_rate: parseFloat(formData.tax_rate) || 0,
+          price_rounding: formData.price_rounding,
+          round_whole_dollar_above: parseOptional(formData.round_whole_dollar_above),
+          ...Object.fromEntries(GUARDRAIL_FIELDS.map((f) => [f.key, parseOptional(formData[f.key])])),
+          price_levels: formData.price_levels
+            .filter((level) => level.name.trim())
+            .map((level) => ({ ...level, name: level.name.trim(), value: parseFloat(level.value) || 0 })),
+          vendor_cost_adjustments: formData.vendor_cost_adjustments
+            .filter((adj) => adj.vendor && parseFloat(adj.value))
+            .map((adj) => ({ ...adj, note: adj.note?.trim() || null, value: parseFloat(adj.value) })),
+          shop_supplies_pct: parseOptional(formData.shop_supplies_pct),
+          shop_supplies_cap: parseOptional(formData.shop_supplies_cap),
+          shop_supplies_taxable: formData.shop_supplies_taxable,
+          shop_fees: formData.shop_fees
+            .filter((fee) => fee.name.trim() && parseFloat(fee.amount))
+            .map((fee) => ({
+              ...fee,
+              name: fee.name.trim(),
+              amount: parseFloat(fee.amount),
+              category: fee.category?.trim() || null,
+            })),
         }),
       });
 
@@ -114,6 +182,48 @@ export default function SettingsPage() {
     }
   };
 
+  // ── Price levels ────────────────────────────────────────────────
+  const updatePriceLevel = (id, changes) => {
+    handleChange('price_levels', formData.price_levels.map((l) => (l.id === id ? { ...l, ...changes } : l)));
+  };
+
+  const addPriceLevel = () => {
+    const level = { id: `level-${Date.now().toString(36)}`, name: '', type: 'list_discount', value: 10 };
+    handleChange('price_levels', [...formData.price_levels, level]);
+  };
+
+  const removePriceLevel = (id) => {
+    handleChange('price_levels', formData.price_levels.filter((l) => l.id !== id));
+  };
+
+  // ── Vendor cost adjustments ─────────────────────────────────────
+  const updateVendorAdjustment = (id, changes) => {
+    handleChange('vendor_cost_adjustments', formData.vendor_cost_adjustments.map((a) => (a.id === id ? { ...a, ...changes } : a)));
+  };
+
+  const addVendorAdjustment = () => {
+    const adjustment = { id: `vendor-adj-${Date.now().toString(36)}`, vendor: '', type: 'rebate_pct', value: 5, note: '' };
+    handleChange('vendor_cost_adjustments', [...formData.vendor_cost_adjustments, adjustment]);
+  };
+
+  const removeVendorAdjustment = (id) => {
+    handleChange('vendor_cost_adjustments', formData.vendor_cost_adjustments.filter((a) => a.id !== id));
+  };
+
+  // ── Shop fees ───────────────────────────────────────────────────
+  const updateShopFee = (id, changes) => {
+    handleChange('shop_fees', formData.shop_fees.map((f) => (f.id === id ? { ...f, ...changes } : f)));
+  };
+
+  const addShopFee = () => {
+    const fee = { id: `fee-${Date.now().toString(36)}`, name: '', amount: '', category: '', taxable: false };
+    handleChange('shop_fees', [...formData.shop_fees, fee]);
+  };
+
+  const removeShopFee = (id) => {
+    handleChange('shop_fees', formData.shop_fees.filter((f) => f.id !== id));
+  };
+
   // ── Logo upload ─────────────────────────────────────────────────
   const handleLogoUpload = async (file) => {
     if (!file || !token) return;
@@ -517,10 +627,350 @@ export default function SettingsPage() {
               <span className="absolute right-3 top-1/2 -translate-y-1/2 text-sm text-gray-400">%</span>
             </div>
             <p className="text-[11px] text-gray-400 mt-1.5">
-              Local sales tax rate. Applied to the customer-facing list price on invoices.
+              Local sales tax rate. Applied to taxable parts, supplies and fees on draft ROs and estimates.
             </p>
           </div>
+
+          <div>
+            <label className="block text-xs text-gray-500 font-medium mb-1.5">Price Endings</label>
+            <select
+              value={formData.price_rounding}
+              onChange={(e) => handleChange('price_rounding', e.target.value)}
+              className="w-full px-4 py-2.5 text-sm border border-gray-200 rounded-xl bg-white focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all"
+            >
+              {PRICE_ROUNDING_OPTIONS.map((opt) => (
+                <option key={opt.value} value={opt.value}>{opt.label}</option>
+              ))}
+            </select>
+            <p className="text-[11px] text-gray-400 mt-1.5">
+              Applied after markup on every part unless a margin rule sets its own. Example: $87.43 → $87.99.
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-xs text-gray-500 font-medium mb-1.5">Whole Dollars Above</label>
+            <div className="relative">
+              <span className="absolute left-3 top-1/2 -translate-y-1/2 text-sm text-gray-400">$</span>
+              <input
+                type="number"
+                step="1"
+                min="0"
+                value={formData.round_whole_dollar_above}
+                onChange={(e) => handleChange('round_whole_dollar_above', e.target.value)}
+                placeholder="Off"
+                className="w-full px-4 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all pl-7"
+              />
+            </div>
+            <p className="text-[11px] text-gray-400 mt-1.5">
+              List prices at or above this amount round up to the next whole dollar instead. Leave blank to turn off.
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* ═══════════════════════════════════════════════════════════════ */}
+      {/* MARGIN GUARDRAILS                                              */}
+      {/* ═══════════════════════════════════════════════════════════════ */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-6 mt-6">
+        <h2 className="text-base font-bold text-gray-900 mb-1">Margin Guardrails</h2>
+        <p className="text-xs text-gray-400 mb-5">
+          Applied after every margin rule. Leave blank to turn off; individual rules can override them.
+        </p>
+
+        <div className="grid grid-cols-2 gap-6">
+          {GUARDRAIL_FIELDS.map((field) => (
+            <div key={field.key}>
+              <label className="block text-xs text-gray-500 font-medium mb-1.5">{field.label}</label>
+              <div className="relative">
+                {field.prefix && (
+                  <span className="absolute left-3 top-1/2 -translate-y-1/2 text-sm text-gray-400">{field.prefix}</span>
+                )}
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={formData[field.key]}
+                  onChange={(e) => handleChange(field.key, e.target.value)}
+                  placeholder="Off"
+                  className={`w-full px-4 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all ${
+                    field.prefix ? 'pl-7' : 'pr-24'
+                  }`}
+                />
+                {field.suffix && (
+                  <span className="absolute right-3 top-1/2 -translate-y-1/2 text-sm text-gray-400">{field.suffix}</span>
+                )}
+              </div>
+              <p className="text-[11px] text-gray-400 mt-1.5">{field.help}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* ═══════════════════════════════════════════════════════════════ */}
+      {/* CUSTOMER PRICE LEVELS                                          */}
+      {/* ═══════════════════════════════════════════════════════════════ */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-6 mt-6">
+        <div className="flex items-center justify-between mb-1">
+          <h2 className="text-base font-bold text-gray-900">Customer Price Levels</h2>
+          <button
+            onClick={addPriceLevel}
+            className="px-3 py-1.5 text-xs font-semibold text-gray-600 bg-gray-50 hover:bg-gray-100 border border-gray-200 rounded-lg transition-colors"
+          >
+            + Add Level
+          </button>
         </div>
+        <p className="text-xs text-gray-400 mb-5">
+          Retail customers pay list. Pick another level for a vehicle on the dashboard or results page and every price reprices for it.
+        </p>
+
+        {formData.price_levels.length === 0 ? (
+          <p className="text-xs text-gray-400">No price levels yet — e.g. Fleet at 10% off list, Wholesale at cost + 15%.</p>
+        ) : (
+          <div className="space-y-2">
+            {formData.price_levels.map((level) => (
+              <div key={level.id} className="flex items-center gap-3">
+                <input
+                  type="text"
+                  value={level.name}
+                  onChange={(e) => updatePriceLevel(level.id, { name: e.target.value })}
+                  placeholder="Level name (e.g. Fleet)"
+                  className="flex-1 px-4 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all"
+                />
+                <select
+                  value={level.type}
+                  onChange={(e) => updatePriceLevel(level.id, { type: e.target.value })}
+                  className="px-3 py-2.5 text-sm border border-gray-200 rounded-xl bg-white"
+                >
+                  {PRICE_LEVEL_TYPES.map((t) => (
+                    <option key={t.value} value={t.value}>{t.label}</option>
+                  ))}
+                </select>
+                <div className="relative w-28">
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="0"
+                    value={level.value}
+                    onChange={(e) => updatePriceLevel(level.id, { value: e.target.value })}
+                    className="w-full px-4 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all pr-8"
+                  />
+                  <span className="absolute right-3 top-1/2 -translate-y-1/2 text-sm text-gray-400">%</span>
+                </div>
+                <button
+                  onClick={() => removePriceLevel(level.id)}
+                  className="px-2 py-1 text-sm text-gray-300 hover:text-red-500 transition-colors"
+                  title="Remove level"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* ═══════════════════════════════════════════════════════════════ */}
+      {/* VENDOR COST ADJUSTMENTS                                        */}
+      {/* ═══════════════════════════════════════════════════════════════ */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-6 mt-6">
+        <div className="flex items-center justify-between mb-1">
+          <h2 className="text-base font-bold text-gray-900">Vendor Cost Adjustments</h2>
+          <button
+            onClick={addVendorAdjustment}
+            className="px-3 py-1.5 text-xs font-semibold text-gray-600 bg-gray-50 hover:bg-gray-100 border border-gray-200 rounded-lg transition-colors"
+          >
+            + Add Adjustment
+          </button>
+        </div>
+        <p className="text-xs text-gray-400 mb-5">
+          What you really pay each supplier. Applied to cost before markup, so the Cost and Margin columns reflect rebates and fees.
+        </p>
+
+        {formData.vendor_cost_adjustments.length === 0 ? (
+          <p className="text-xs text-gray-400">No adjustments yet — e.g. a 5% year-end rebate from NAPA, or $3 handling on eBay orders.</p>
+        ) : (
+          <div className="space-y-2">
+            {formData.vendor_cost_adjustments.map((adj) => (
+              <div key={adj.id} className="flex items-center gap-3">
+                <select
+                  value={adj.vendor}
+                  onChange={(e) => updateVendorAdjustment(adj.id, { vendor: e.target.value })}
+                  className="w-40 px-3 py-2.5 text-sm border border-gray-200 rounded-xl bg-white"
+                >
+                  <option value="">Vendor...</option>
+                  {VENDOR_NAMES.map((v) => (
+                    <option key={v} value={v}>{v}</option>
+                  ))}
+                </select>
+                <select
+                  value={adj.type}
+                  onChange={(e) => updateVendorAdjustment(adj.id, { type: e.target.value })}
+                  className="px-3 py-2.5 text-sm border border-gray-200 rounded-xl bg-white"
+                >
+                  {VENDOR_ADJUSTMENT_TYPES.map((t) => (
+                    <option key={t.value} value={t.value}>{t.label}</option>
+                  ))}
+                </select>
+                <div className="relative w-28">
+                  {adj.type === 'flat_fee' && (
+                    <span className="absolute left-3 top-1/2 -translate-y-1/2 text-sm text-gray-400">$</span>
+                  )}
+                  <input
+                    type="number"
+                    step={adj.type === 'flat_fee' ? '0.01' : '0.1'}
+                    min="0"
+                    value={adj.value}
+                    onChange={(e) => updateVendorAdjustment(adj.id, { value: e.target.value })}
+                    className={`w-full py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all ${
+                      adj.type === 'flat_fee' ? 'pl-7 pr-4' : 'pl-4 pr-8'
+                    }`}
+                  />
+                  {adj.type !== 'flat_fee' && (
+                    <span className="absolute right-3 top-1/2 -translate-y-1/2 text-sm text-gray-400">%</span>
+                  )}
+                </div>
+                <input
+                  type="text"
+                  value={adj.note || ''}
+                  onChange={(e) => updateVendorAdjustment(adj.id, { note: e.target.value })}
+                  placeholder="Note (e.g. year-end rebate)"
+                  className="flex-1 px-4 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all"
+                />
+                <button
+                  onClick={() => removeVendorAdjustment(adj.id)}
+                  className="px-2 py-1 text-sm text-gray-300 hover:text-red-500 transition-colors"
+                  title="Remove adjustment"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* ═══════════════════════════════════════════════════════════════ */}
+      {/* SHOP SUPPLIES & FEES                                           */}
+      {/* ═══════════════════════════════════════════════════════════════ */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-6 mt-6">
+        <h2 className="text-base font-bold text-gray-900 mb-1">Shop Supplies &amp; Fees</h2>
+        <p className="text-xs text-gray-400 mb-5">
+          Added to every draft RO and estimate so the total matches the invoice the customer pays.
+        </p>
+
+        <div className="grid grid-cols-2 gap-6">
+          <div>
+            <label className="block text-xs text-gray-500 font-medium mb-1.5">Shop Supplies</label>
+            <div className="relative">
+              <input
+                type="number"
+                step="0.1"
+                min="0"
+                value={formData.shop_supplies_pct}
+                onChange={(e) => handleChange('shop_supplies_pct', e.target.value)}
+                placeholder="Off"
+                className="w-full px-4 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all pr-24"
+              />
+              <span className="absolute right-3 top-1/2 -translate-y-1/2 text-sm text-gray-400">% of parts</span>
+            </div>
+            <label className="flex items-center gap-2 text-[11px] text-gray-500 mt-1.5">
+              <input
+                type="checkbox"
+                checked={formData.shop_supplies_taxable}
+                onChange={(e) => handleChange('shop_supplies_taxable', e.target.checked)}
+              />
+              Taxable
+            </label>
+          </div>
+
+          <div>
+            <label className="block text-xs text-gray-500 font-medium mb-1.5">Supplies Cap</label>
+            <div className="relative">
+              <span className="absolute left-3 top-1/2 -translate-y-1/2 text-sm text-gray-400">$</span>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={formData.shop_supplies_cap}
+                onChange={(e) => handleChange('shop_supplies_cap', e.target.value)}
+                placeholder="No cap"
+                className="w-full px-4 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all pl-7"
+              />
+            </div>
+            <p className="text-[11px] text-gray-400 mt-1.5">Most shops cap supplies at $25–$50 per RO.</p>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between mt-6 mb-2">
+          <div className="text-xs text-gray-500 font-medium">Flat Fees</div>
+          <button
+            onClick={addShopFee}
+            className="px-3 py-1.5 text-xs font-semibold text-gray-600 bg-gray-50 hover:bg-gray-100 border border-gray-200 rounded-lg transition-colors"
+          >
+            + Add Fee
+          </button>
+        </div>
+
+        {formData.shop_fees.length === 0 ? (
+          <p className="text-xs text-gray-400">No fees yet — e.g. $5 battery disposal per battery, $3 tire recycling per tire.</p>
+        ) : (
+          <div className="space-y-2">
+            {formData.shop_fees.map((fee) => (
+              <div key={fee.id} className="flex items-center gap-3">
+                <input
+                  type="text"
+                  value={fee.name}
+                  onChange={(e) => updateShopFee(fee.id, { name: e.target.value })}
+                  placeholder="Fee name (e.g. Battery disposal)"
+                  className="flex-1 px-4 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all"
+                />
+                <div className="relative w-28">
+                  <span className="absolute left-3 top-1/2 -translate-y-1/2 text-sm text-gray-400">$</span>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={fee.amount}
+                    onChange={(e) => updateShopFee(fee.id, { amount: e.target.value })}
+                    className="w-full pl-7 pr-4 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all"
+                  />
+                </div>
+                <input
+                  type="text"
+                  list="shop-fee-categories"
+                  value={fee.category || ''}
+                  onChange={(e) => updateShopFee(fee.id, { category: e.target.value })}
+                  placeholder="Per order"
+                  title="Charge per unit of parts in this category, or leave blank for once per order"
+                  className="w-40 px-4 py-2.5 text-sm border border-gray-200 rounded-xl focus:outline-none focus:border-gray-400 focus:ring-2 focus:ring-gray-100 transition-all"
+                />
+                <label className="flex items-center gap-1.5 text-[11px] text-gray-500">
+                  <input
+                    type="checkbox"
+                    checked={fee.taxable === true}
+                    onChange={(e) => updateShopFee(fee.id, { taxable: e.target.checked })}
+                  />
+                  Taxable
+                </label>
+                <button
+                  onClick={() => removeShopFee(fee.id)}
+                  className="px-2 py-1 text-sm text-gray-300 hover:text-red-500 transition-colors"
+                  title="Remove fee"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <datalist id="shop-fee-categories">
+              {PART_CATEGORIES.flatMap((cat) => [
+                <option key={cat.key} value={cat.key}>{cat.label}</option>,
+                ...cat.subcategories.flatMap((sub) => sub.parts.map((part) => (
+                  <option key={part.key} value={part.key}>{part.label}</option>
+                ))),
+              ])}
+            </datalist>
+          </div>
+        )}
       </div>
     </div>
   );
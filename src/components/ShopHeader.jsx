@@ -4,7 +4,9 @@
  * Displays:
  *   - Shop logo/monogram with accent color
  *   - Shop name + "Powered by Kanupi"
- *   - Navigation links: Order History, Preferences, Settings
+ *   - Active vehicle with recent-vehicles switcher
+ *   - Navigation links: Repair Order (with draft line count), Order History,
+ *     Preferences, Settings
  *   - Sign out
  * 
  * Reads shop data from ShopContext. Accent color is dynamic per shop.
@@ -12,9 +14,10 @@
 
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useShop } from '../context/ShopContext';
+import VehicleSwitcher from './VehicleSwitcher';
 
 export default function ShopHeader() {
-  const { shop, signOut } = useShop();
+  const { shop, signOut, cartCount } = useShop();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -31,18 +34,24 @@ export default function ShopHeader() {
 
   const navItems = [
     { path: '/', label: 'Dashboard' },
+    { path: '/cart', label: 'Repair Order', badge: cartCount },
     { path: '/orders', label: 'Order History' },
     { path: '/preferences', label: 'Preferences' },
     { path: '/settings', label: 'Settings' },
   ];
 
+  // Results are tied to the vehicle in their URL — go home after switching
+  const handleVehicleSwitch = () => {
+    if (location.pathname === '/results') navigate('/');
+  };
+
   const handleSignOut = async () => {
     await signOut();
     navigate('/login');
   };
 
   return (
-    <header className="border-b border-gray-200 bg-white">
+    <header className="border-b border-gray-200 bg-white print:hidden">
       <div className="max-w-screen-2xl mx-auto px-6 py-3 flex items-center justify-between">
         {/* Left: Logo + Shop Name */}
         <div
@@ -73,6 +82,9 @@ export default function ShopHeader() {
 
         {/* Right: Navigation + Sign Out */}
         <div className="flex items-center gap-1">
+          <VehicleSwitcher variant="header" onSwitch={handleVehicleSwitch} />
+          <div className="w-px h-5 bg-gray-200 mx-1" />
+
           {navItems.map((item) => {
             const isActive = location.pathname === item.path;
             return (
@@ -86,6 +98,14 @@ export default function ShopHeader() {
                 }`}
               >
                 {item.label}
+                {item.badge > 0 && (
+                  <span
+                    className="ml-1.5 px-1.5 py-0.5 text-[10px] font-bold text-white rounded-full"
+                    style={{ background: accentColor }}
+                  >
+                    {item.badge}
+                  </span>
+                )}
               </button>
             );
           })}
@@ -127,6 +127,7 @@ export default function SmartFilter({ onApply, onClear, isActive, appliedText, a
         <span className="text-sm">✨</span>
         <span className="text-xs font-semibold text-gray-700">Smart Filter</span>
         <span className="text-[10px] text-gray-400 ml-auto">AI-powered</span>
+        <kbd className="px-1 bg-gray-100 border border-gray-200 rounded text-[10px] font-mono text-gray-400">/</kbd>
       </div>
 
       {isActive ? (
@@ -144,6 +145,7 @@ export default function SmartFilter({ onApply, onClear, isActive, appliedText, a
       ) : (
         <div className="space-y-2">
           <textarea
+            id="smart-filter-input"
             value={inputText}
             onChange={(e) => setInputText(e.target.value)}
             onKeyDown={handleKeyDown}
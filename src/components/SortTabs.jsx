@@ -8,11 +8,12 @@
  *   - Marcus's Pick — AI-weighted score (tier + fitment + margin + rating + speed)
  * 
  * Also shows result count and "Add to Order" button when rows are selected.
+ * Number keys 1–4 switch tabs (bound in ResultsPage, in SORT_OPTIONS order).
  */
 
 import { useShop } from '../context/ShopContext';
 
-const SORT_OPTIONS = [
+export const SORT_OPTIONS = [
   { key: 'best_margin', label: 'Best Margin', icon: '📈' },
   { key: 'lowest_cost', label: 'Lowest Cost', icon: '💲' },
   { key: 'fastest_delivery', label: 'Fastest', icon: '⚡' },
@@ -27,7 +28,7 @@ export default function SortTabs({ sortBy, onSortChange, resultCount, totalCount
     <div className="sticky top-0 z-10 bg-white border-b border-gray-200 px-5">
       <div className="flex items-center justify-between">
         <div className="flex">
-          {SORT_OPTIONS.map((tab) => (
+          {SORT_OPTIONS.map((tab, i) => (
             <button
               key={tab.key}
               onClick={() => onSortChange(tab.key)}
@@ -39,6 +40,7 @@ export default function SortTabs({ sortBy, onSortChange, resultCount, totalCount
             >
               <span className="mr-1.5">{tab.icon}</span>
               {tab.label}
+              <kbd className="ml-1.5 text-[10px] font-mono text-gray-300">{i + 1}</kbd>
             </button>
           ))}
         </div>
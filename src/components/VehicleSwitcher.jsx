@@ -0,0 +1,106 @@
+/**
+ * VehicleSwitcher — Dropdown of recently decoded vehicles.
+ *
+ * One click makes a recent vehicle active again (VIN, plate, trim and
+ * engine included), so writers can bounce between customers' cars
+ * without re-decoding. Recents live in ShopContext and persist per user.
+ *
+ * Used in ShopHeader (compact, shows the active vehicle) and the
+ * DashboardHome Active Vehicle Bar.
+ *
+ * Props:
+ *   variant    - 'header' | 'bar' — trigger button styling
+ *   onSwitch   - function(vehicle), optional — called after switching
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useShop } from '../context/ShopContext';
+import { getVehicleKey, formatVehicleLabel } from '../utils/vehicle';
+
+export default function VehicleSwitcher({ variant = 'bar', onSwitch }) {
+  const { vehicle, recentVehicles, setVehicleContext, removeRecentVehicle } = useShop();
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // ── Close on outside click ──────────────────────────────────────
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const activeKey = vehicle ? getVehicleKey(vehicle) : null;
+  const others = recentVehicles.filter((v) => getVehicleKey(v) !== activeKey);
+
+  if (variant === 'bar' && others.length === 0) return null;
+  if (variant === 'header' && !vehicle && recentVehicles.length === 0) return null;
+
+  const handleSelect = (v) => {
+    const { lastUsedAt: _lastUsedAt, ...vehicleData } = v;
+    setVehicleContext(vehicleData);
+    setOpen(false);
+    if (onSwitch) onSwitch(vehicleData);
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      {variant === 'header' ? (
+        <button
+          onClick={() => setOpen((o) => !o)}
+          className="flex items-center gap-1.5 px-3 py-2 text-xs font-medium text-gray-600 hover:text-gray-900 hover:bg-gray-50 rounded-lg transition-colors max-w-[220px]"
+          title="Switch vehicle"
+        >
+          <span>🚗</span>
+          <span className="truncate">{vehicle ? formatVehicleLabel(vehicle) : 'No vehicle'}</span>
+          <span className="text-gray-400">▾</span>
+        </button>
+      ) : (
+        <button
+          onClick={() => setOpen((o) => !o)}
+          className="px-4 py-2 text-xs font-semibold text-gray-500 hover:text-gray-800 bg-gray-50 hover:bg-gray-100 border border-gray-200 rounded-xl transition-colors"
+        >
+          Recent ({others.length}) ▾
+        </button>
+      )}
+
+      {open && (
+        <div className="absolute right-0 top-full mt-1 w-80 bg-white rounded-xl border border-gray-200 shadow-lg z-40 overflow-hidden">
+          <div className="px-3 py-2 border-b border-gray-100 text-[10px] font-semibold text-gray-400 uppercase tracking-wider">
+            Recent Vehicles
+          </div>
+          {others.length === 0 ? (
+            <div className="px-3 py-4 text-center text-xs text-gray-400">No other recent vehicles</div>
+          ) : (
+            <div className="max-h-80 overflow-y-auto scrollbar-thin divide-y divide-gray-50">
+              {others.map((v) => {
+                const key = getVehicleKey(v);
+                return (
+                  <div key={key} className="group flex items-center hover:bg-gray-50 transition-colors">
+                    <button onClick={() => handleSelect(v)} className="flex-1 min-w-0 px-3 py-2 text-left">
+                      <div className="text-sm font-semibold text-gray-800 truncate">{formatVehicleLabel(v)}</div>
+                      <div className="flex items-center gap-2 text-[11px] text-gray-400 truncate">
+                        {v.engine && <span>{v.engine}</span>}
+                        {v.vin && <span className="font-mono">{v.vin}</span>}
+                        {v.plate && <span className="font-mono">{v.state} {v.plate}</span>}
+                      </div>
+                    </button>
+                    <button
+                      onClick={() => removeRecentVehicle(key)}
+                      className="px-3 py-2 text-gray-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-all text-xs"
+                      title="Remove from recents"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+/**
+ * Order Status Configuration for Kanupi Shop Dashboard
+ *
+ * Order lifecycle:
+ *   selected → ordered → shipped → delivered → installed
+ *   (any open status can move to cancelled)
+ *
+ * Shared by DashboardHome (Recent Orders card), OrderHistory (full table) and
+ * OrderDetail (status workflow) so badge styling and allowed transitions stay
+ * identical everywhere an order status is shown.
+ *
+ * The server appends every change to order.status_history and stamps who
+ * made it and when — clients only send { status, note }:
+ *   { from, to, at, by, note }   (from/to are null for note-only entries)
+ */
+
+export const ORDER_STATUSES = {
+  selected:  { label: 'Selected',  bg: 'bg-gray-50',   text: 'text-gray-600',  border: 'border-gray-200' },
+  ordered:   { label: 'Ordered',   bg: 'bg-blue-50',   text: 'text-blue-700',  border: 'border-blue-200' },
+  shipped:   { label: 'Shipped',   bg: 'bg-amber-50',  text: 'text-amber-700', border: 'border-amber-200' },
+  delivered: { label: 'Delivered', bg: 'bg-green-50',  text: 'text-green-700', border: 'border-green-200' },
+  installed: { label: 'Installed', bg: 'bg-emerald-50',text: 'text-emerald-700',border: 'border-emerald-200' },
+  cancelled: { label: 'Cancelled', bg: 'bg-red-50',    text: 'text-red-600',   border: 'border-red-200' },
+};
+
+// Forward-only workflow. Installed and cancelled are terminal.
+export const ORDER_TRANSITIONS = {
+  selected:  ['ordered', 'cancelled'],
+  ordered:   ['shipped', 'delivered', 'cancelled'],
+  shipped:   ['delivered', 'cancelled'],
+  delivered: ['installed', 'cancelled'],
+  installed: [],
+  cancelled: [],
+};
+
+/**
+ * Map order status to display badge style.
+ *
+ * @param {string} status - Order status key (e.g. "shipped")
+ * @returns {Object} { label, bg, text, border } — falls back to "selected"
+ */
+export function statusBadge(status) {
+  return ORDER_STATUSES[status] || ORDER_STATUSES.selected;
+}
+
+/**
+ * Get the margin dollars for an order row.
+ * Prefers the stored margin_amount, falls back to list_price - cost.
+ *
+ * @param {Object} order - Row from /api/b2b/orders
+ * @returns {number}
+ */
+export function getOrderMargin(order) {
+  if (order.margin_amount != null) return order.margin_amount;
+  return (order.list_price || 0) - (order.cost || 0);
+}
+
+/**
+ * Statuses an order may move to from its current status.
+ *
+ * @param {string} status - Current status key
+ * @returns {string[]}
+ */
+export function getAllowedTransitions(status) {
+  return ORDER_TRANSITIONS[status || 'selected'] || [];
+}
+
+/**
+ * When the order most recently entered a status, from its history.
+ *
+ * @param {Object} order - Row from /api/b2b/orders
+ * @param {string} status
+ * @returns {string|null} ISO timestamp
+ */
+export function getStatusEnteredAt(order, status) {
+  const history = order.status_history || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].to === status) return history[i].at;
+  }
+  return status === order.status ? order.updated_at || null : null;
+}
+
+/**
+ * Whole days a delivered part has been sitting on the shelf uninstalled.
+ *
+ * @param {Object} order
+ * @returns {number|null} null when the order isn't in "delivered"
+ */
+export function getDaysOnShelf(order) {
+  if (order.status !== 'delivered') return null;
+  const deliveredAt = getStatusEnteredAt(order, 'delivered');
+  if (!deliveredAt) return null;
+  return Math.max(0, Math.floor((Date.now() - new Date(deliveredAt).getTime()) / 86400000));
+}
+
+export default ORDER_STATUSES;
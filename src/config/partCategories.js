@@ -6,7 +6,8 @@
  * 
  * This is the B2B drill-down equivalent of RockAuto's category tree.
  * Each leaf part has a `key` that matches the backend's PCdb part type IDs
- * for fitment verification and eBay category mapping.
+ * for fitment verification and eBay category mapping. Optional `aliases`
+ * give extra phrasings used by classifyPartType() to tag search results.
  */
 
 const PART_CATEGORIES = [
@@ -27,8 +28,8 @@ const PART_CATEGORIES = [
         key: 'rotors',
         label: 'Brake Rotors',
         parts: [
-          { key: 'disc_brake_rotor_front', label: 'Front Rotors' },
-          { key: 'disc_brake_rotor_rear', label: 'Rear Rotors' },
+          { key: 'disc_brake_rotor_front', label: 'Front Rotors', aliases: ['brake disc'] },
+          { key: 'disc_brake_rotor_rear', label: 'Rear Rotors', aliases: ['brake disc'] },
         ],
       },
       {
@@ -44,7 +45,7 @@ const PART_CATEGORIES = [
         label: 'Hardware & Accessories',
         parts: [
           { key: 'brake_hardware_kit', label: 'Brake Hardware Kit' },
-          { key: 'brake_line', label: 'Brake Lines / Hoses' },
+          { key: 'brake_line', label: 'Brake Lines / Hoses', aliases: ['brake line', 'brake hose'] },
         ],
       },
       {
@@ -75,7 +76,7 @@ const PART_CATEGORIES = [
         key: 'belts',
         label: 'Belts & Timing',
         parts: [
-          { key: 'serpentine_belt', label: 'Serpentine Belt' },
+          { key: 'serpentine_belt', label: 'Serpentine Belt', aliases: ['drive belt', 'accessory belt'] },
           { key: 'timing_belt', label: 'Timing Belt' },
           { key: 'timing_chain', label: 'Timing Chain' },
           { key: 'belt_tensioner', label: 'Belt Tensioner' },
@@ -95,7 +96,7 @@ const PART_CATEGORIES = [
         key: 'mounts',
         label: 'Mounts',
         parts: [
-          { key: 'engine_mount', label: 'Engine Mount' },
+          { key: 'engine_mount', label: 'Engine Mount', aliases: ['motor mount'] },
           { key: 'transmission_mount', label: 'Transmission Mount' },
         ],
       },
@@ -152,7 +153,7 @@ const PART_CATEGORIES = [
         parts: [
           { key: 'battery', label: 'Battery' },
           { key: 'alternator', label: 'Alternator' },
-          { key: 'starter_motor', label: 'Starter Motor' },
+          { key: 'starter_motor', label: 'Starter Motor', aliases: ['starter'] },
         ],
       },
     ],
@@ -168,16 +169,16 @@ const PART_CATEGORIES = [
         parts: [
           { key: 'control_arm', label: 'Control Arms' },
           { key: 'ball_joint', label: 'Ball Joints' },
-          { key: 'tie_rod', label: 'Tie Rod Ends' },
-          { key: 'sway_bar_link', label: 'Sway Bar Links' },
+          { key: 'tie_rod', label: 'Tie Rod Ends', aliases: ['tie rod'] },
+          { key: 'sway_bar_link', label: 'Sway Bar Links', aliases: ['stabilizer link', 'stabilizer bar link'] },
         ],
       },
       {
         key: 'shocks',
         label: 'Shocks & Struts',
         parts: [
-          { key: 'shock_absorber', label: 'Shock Absorbers' },
-          { key: 'strut_assembly', label: 'Strut Assemblies' },
+          { key: 'shock_absorber', label: 'Shock Absorbers', aliases: ['shock'] },
+          { key: 'strut_assembly', label: 'Strut Assemblies', aliases: ['strut'] },
         ],
       },
       {
@@ -185,7 +186,7 @@ const PART_CATEGORIES = [
         label: 'Wheel Bearings & Hubs',
         parts: [
           { key: 'wheel_bearing', label: 'Wheel Bearings' },
-          { key: 'hub_assembly', label: 'Hub Assemblies' },
+          { key: 'hub_assembly', label: 'Hub Assemblies', aliases: ['wheel hub', 'hub bearing'] },
         ],
       },
     ],
@@ -215,9 +216,9 @@ const PART_CATEGORIES = [
         key: 'exhaust_parts',
         label: 'Exhaust',
         parts: [
-          { key: 'catalytic_converter', label: 'Catalytic Converter' },
+          { key: 'catalytic_converter', label: 'Catalytic Converter', aliases: ['cat converter'] },
           { key: 'muffler', label: 'Muffler' },
-          { key: 'oxygen_sensor', label: 'O2 Sensor' },
+          { key: 'oxygen_sensor', label: 'O2 Sensor', aliases: ['oxygen sensor'] },
           { key: 'egr_valve', label: 'EGR Valve' },
         ],
       },
@@ -232,8 +233,8 @@ const PART_CATEGORIES = [
         key: 'ac_parts',
         label: 'A/C System',
         parts: [
-          { key: 'ac_compressor', label: 'A/C Compressor' },
-          { key: 'ac_condenser', label: 'A/C Condenser' },
+          { key: 'ac_compressor', label: 'A/C Compressor', aliases: ['ac compressor'] },
+          { key: 'ac_condenser', label: 'A/C Condenser', aliases: ['ac condenser'] },
           { key: 'blower_motor', label: 'Blower Motor' },
         ],
       },
@@ -264,9 +265,9 @@ const PART_CATEGORIES = [
         key: 'exterior',
         label: 'Exterior Lights',
         parts: [
-          { key: 'headlight_assembly', label: 'Headlight Assembly' },
+          { key: 'headlight_assembly', label: 'Headlight Assembly', aliases: ['headlight', 'headlamp'] },
           { key: 'headlight_bulb', label: 'Headlight Bulbs' },
-          { key: 'tail_light', label: 'Tail Light Assembly' },
+          { key: 'tail_light', label: 'Tail Light Assembly', aliases: ['tail light', 'taillight', 'tail lamp'] },
           { key: 'fog_light', label: 'Fog Lights' },
           { key: 'turn_signal', label: 'Turn Signal' },
         ],
@@ -282,7 +283,7 @@ const PART_CATEGORIES = [
         key: 'axles_cv',
         label: 'Axles & CV',
         parts: [
-          { key: 'cv_axle', label: 'CV Axle / Half Shaft' },
+          { key: 'cv_axle', label: 'CV Axle / Half Shaft', aliases: ['cv axle', 'half shaft', 'axle shaft'] },
           { key: 'cv_boot', label: 'CV Boot Kit' },
           { key: 'clutch_kit', label: 'Clutch Kit' },
         ],
@@ -298,7 +299,7 @@ const PART_CATEGORIES = [
         key: 'wiper_parts',
         label: 'Wipers',
         parts: [
-          { key: 'wiper_blade', label: 'Wiper Blades' },
+          { key: 'wiper_blade', label: 'Wiper Blades', aliases: ['wiper'] },
           { key: 'wiper_motor', label: 'Wiper Motor' },
         ],
       },
@@ -350,4 +351,101 @@ export function findPartByKey(partKey) {
   return null;
 }
 
+/**
+ * Position words stripped from labels before matching — "Front Rotors" and
+ * "Rear Rotors" share the term "rotor" and are told apart by position.
+ */
+const POSITION_WORDS = ['front', 'rear', 'left', 'right'];
+
+/**
+ * Normalize text for part-type matching: lowercase, alphanumerics only,
+ * and each word singularized ("Pads" → "pad", "Assemblies" → "assembly").
+ */
+function normalizeTerm(str) {
+  return (str || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map((w) => {
+      if (w.endsWith('ies') && w.length > 4) return `${w.slice(0, -3)}y`;
+      if (w.endsWith('s') && !w.endsWith('ss') && w.length > 3) return w.slice(0, -1);
+      return w;
+    })
+    .join(' ');
+}
+
+/**
+ * Flattened leaf parts with their match terms, built once at module load.
+ */
+const PART_TYPE_INDEX = PART_CATEGORIES.flatMap((cat) =>
+  cat.subcategories.flatMap((sub) =>
+    sub.parts.map((part) => {
+      const labelTerm = normalizeTerm(part.label)
+        .split(' ')
+        .filter((w) => !POSITION_WORDS.includes(w))
+        .join(' ');
+      const terms = [labelTerm, ...(part.aliases || []).map(normalizeTerm)].filter(Boolean);
+      const position = POSITION_WORDS.find((p) => part.key.endsWith(`_${p}`)) || null;
+      return { key: part.key, terms, position };
+    })
+  )
+);
+
+/**
+ * Classify free text into a leaf part-type key (e.g. 'disc_brake_pad_front').
+ * Texts are tried in order — pass the most reliable first (search query,
+ * then group label, then listing title). Within a text the longest matching
+ * term wins, so "cabin air filter" beats "air filter"; front/rear variants
+ * are chosen by the position word in the text, defaulting to front.
+ *
+ * @param {...string} texts - Candidate texts, most reliable first
+ * @returns {string|null} Leaf part key, or null if nothing matches
+ */
+export function classifyPartType(...texts) {
+  for (const text of texts) {
+    const normalized = ` ${normalizeTerm(text)} `;
+    if (!normalized.trim()) continue;
+
+    let best = [];
+    let bestLength = 0;
+    for (const entry of PART_TYPE_INDEX) {
+      const matchLength = Math.max(0, ...entry.terms
+        .filter((term) => normalized.includes(` ${term} `))
+        .map((term) => term.length));
+      if (matchLength > bestLength) {
+        best = [entry];
+        bestLength = matchLength;
+      } else if (matchLength > 0 && matchLength === bestLength) {
+        best.push(entry);
+      }
+    }
+
+    if (best.length > 0) {
+      const positioned = best.find((e) => e.position && normalized.includes(` ${e.position} `));
+      return (positioned || best[0]).key;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get a part type's lineage, most specific first: part → subcategory → category.
+ * Used by the margin calculator so a rule on "brakes" or "pads" also
+ * applies to 'disc_brake_pad_front'.
+ *
+ * @param {string} partKey - Leaf part key (e.g., 'disc_brake_pad_front')
+ * @returns {Array<{key: string, label: string}>} Empty if the key is unknown
+ */
+export function getPartTypeLineage(partKey) {
+  const found = findPartByKey(partKey);
+  if (!found) return [];
+  return [
+    { key: found.part.key, label: found.part.label },
+    { key: found.subcategory.key, label: found.subcategory.label },
+    { key: found.category.key, label: found.category.label },
+  ];
+}
+
 export default PART_CATEGORIES;
@@ -2,7 +2,9 @@
  * Related Parts Intelligence Map
  * 
  * Maps part types to:
- *   - Position options (front/rear/both) for position-sensitive parts
+ *   - Position options (front/rear/both) for position-sensitive parts, with
+ *     how many units each position takes (`quantity`, default 1) — rotors
+ *     and struts come in pairs per axle, pads in one set per axle
  *   - Related parts with reasons and pre-checked defaults
  *   - Position notes explaining layout differences by vehicle type
  * 
@@ -20,7 +22,7 @@ const RELATED_PARTS = {
     positions: [
       { value: 'front', label: 'Front Brake Pads', default: true },
       { value: 'rear', label: 'Rear Brake Pads' },
-      { value: 'both', label: 'Front + Rear (Full Set)' },
+      { value: 'both', label: 'Front + Rear (Full Set)', quantity: 2 },
     ],
     related: [
       { label: 'Brake Rotors', reason: 'Recommended with every pad change to prevent uneven wear', checked: true },
@@ -33,9 +35,9 @@ const RELATED_PARTS = {
   'Brake Rotors': {
     aliases: ['brake rotor', 'disc brake rotor', 'rotor', 'rotors', 'brake disc'],
     positions: [
-      { value: 'front', label: 'Front Rotors', default: true },
-      { value: 'rear', label: 'Rear Rotors' },
-      { value: 'both', label: 'Front + Rear (Full Set)' },
+      { value: 'front', label: 'Front Rotors', quantity: 2, default: true },
+      { value: 'rear', label: 'Rear Rotors', quantity: 2 },
+      { value: 'both', label: 'Front + Rear (Full Set)', quantity: 4 },
     ],
     related: [
       { label: 'Brake Pads', reason: 'Always replace pads with new rotors for proper bedding', checked: true },
@@ -52,8 +54,8 @@ const RELATED_PARTS = {
       { value: 'front-right', label: 'Front Right Caliper' },
       { value: 'rear-left', label: 'Rear Left Caliper' },
       { value: 'rear-right', label: 'Rear Right Caliper' },
-      { value: 'front-pair', label: 'Front Pair', default: true },
-      { value: 'rear-pair', label: 'Rear Pair' },
+      { value: 'front-pair', label: 'Front Pair', quantity: 2, default: true },
+      { value: 'rear-pair', label: 'Rear Pair', quantity: 2 },
     ],
     related: [
       { label: 'Brake Pads', reason: 'New caliper requires new pads for proper fit', checked: true },
@@ -66,7 +68,7 @@ const RELATED_PARTS = {
   'Brake Drums': {
     aliases: ['brake drum', 'drum', 'drums', 'rear drum'],
     positions: [
-      { value: 'rear', label: 'Rear Brake Drums', default: true },
+      { value: 'rear', label: 'Rear Brake Drums', quantity: 2, default: true },
     ],
     related: [
       { label: 'Brake Shoes', reason: 'Always replace shoes with new drums', checked: true },
@@ -98,10 +100,10 @@ const RELATED_PARTS = {
   'Struts': {
     aliases: ['strut', 'strut assembly', 'strut assemblies', 'complete strut', 'complete strut assembly', 'loaded strut', 'front strut', 'rear strut', 'shock strut', 'macpherson strut'],
     positions: [
-      { value: 'front', label: 'Front Strut Assemblies', default: true },
-      { value: 'rear-struts', label: 'Rear Strut Assemblies' },
-      { value: 'rear-shocks', label: 'Rear Shocks (if shock-type rear)' },
-      { value: 'all', label: 'Front Struts + Rear Struts/Shocks' },
+      { value: 'front', label: 'Front Strut Assemblies', quantity: 2, default: true },
+      { value: 'rear-struts', label: 'Rear Strut Assemblies', quantity: 2 },
+      { value: 'rear-shocks', label: 'Rear Shocks (if shock-type rear)', quantity: 2 },
+      { value: 'all', label: 'Front Struts + Rear Struts/Shocks', quantity: 4 },
     ],
     related: [
       { label: 'Strut Mount', reason: 'Strut mounts wear out with struts — replace together to avoid labor twice', checked: true },
@@ -114,9 +116,9 @@ const RELATED_PARTS = {
   'Shocks': {
     aliases: ['shock', 'shock absorber', 'shock absorbers', 'rear shock', 'front shock'],
     positions: [
-      { value: 'rear', label: 'Rear Shocks', default: true },
-      { value: 'front', label: 'Front Shocks' },
-      { value: 'all', label: 'All Four Shocks' },
+      { value: 'rear', label: 'Rear Shocks', quantity: 2, default: true },
+      { value: 'front', label: 'Front Shocks', quantity: 2 },
+      { value: 'all', label: 'All Four Shocks', quantity: 4 },
     ],
     related: [
       { label: 'Struts', reason: 'If vehicle has struts up front, consider replacing those too', checked: false },
@@ -157,9 +159,9 @@ const RELATED_PARTS = {
   'Tie Rod End': {
     aliases: ['tie rod', 'tie rod end', 'inner tie rod', 'outer tie rod', 'tie rod assembly'],
     positions: [
-      { value: 'inner', label: 'Inner Tie Rod End', default: true },
-      { value: 'outer', label: 'Outer Tie Rod End' },
-      { value: 'both', label: 'Inner + Outer Set' },
+      { value: 'inner', label: 'Inner Tie Rod End', quantity: 2, default: true },
+      { value: 'outer', label: 'Outer Tie Rod End', quantity: 2 },
+      { value: 'both', label: 'Inner + Outer Set', quantity: 4 },
     ],
     related: [
       { label: 'Steering Rack', reason: 'If inner tie rods are worn, inspect rack for play', checked: false },
@@ -200,8 +202,8 @@ const RELATED_PARTS = {
   'Sway Bar Link': {
     aliases: ['sway bar link', 'stabilizer link', 'stabilizer bar link', 'sway bar end link', 'anti-roll bar link'],
     positions: [
-      { value: 'front', label: 'Front Sway Bar Links', default: true },
-      { value: 'rear', label: 'Rear Sway Bar Links' },
+      { value: 'front', label: 'Front Sway Bar Links', quantity: 2, default: true },
+      { value: 'rear', label: 'Rear Sway Bar Links', quantity: 2 },
     ],
     related: [
       { label: 'Struts', reason: 'Common to replace together for a complete ride refresh', checked: false },
@@ -480,7 +482,7 @@ const RELATED_PARTS = {
     positions: [
       { value: 'left', label: 'Driver Side (Left)' },
       { value: 'right', label: 'Passenger Side (Right)' },
-      { value: 'both', label: 'Both Sides', default: true },
+      { value: 'both', label: 'Both Sides', quantity: 2, default: true },
     ],
     related: [
       { label: 'Headlight Bulb', reason: 'New assembly may need new bulbs', checked: false },
@@ -492,7 +494,7 @@ const RELATED_PARTS = {
     positions: [
       { value: 'left', label: 'Driver Side (Left)' },
       { value: 'right', label: 'Passenger Side (Right)' },
-      { value: 'both', label: 'Both Sides' },
+      { value: 'both', label: 'Both Sides', quantity: 2 },
     ],
     related: [
       { label: 'Brake Light Bulb', reason: 'Replace bulbs in new assembly', checked: false },
@@ -604,9 +606,36 @@ export function getRelatedParts(partLabel) {
   return null;
 }
 
+/**
+ * How many units to order for a part in a position — two rotors for
+ * "front", four struts for "all", one pad set per axle. Without a position
+ * it's read from the label ("Rear Rotors", "Front Pair Calipers"), then the
+ * part's default position.
+ *
+ * @param {string} partLabel - Part name or search text
+ * @param {string} [position] - Position value from the part's positions
+ * @returns {number} Quantity, 1 when the part has no pair/set rule
+ */
+export function getDefaultQuantity(partLabel, position) {
+  const info = getRelatedParts(partLabel);
+  if (!info?.positions) return 1;
+
+  let match = position ? info.positions.find((p) => p.value === position) : null;
+  if (!match && !position) {
+    const words = normalize(partLabel).split(' ');
+    match = info.positions
+      .filter((p) => p.value.split('-').every((w) => words.includes(w)))
+      .sort((a, b) => b.value.split('-').length - a.value.split('-').length)[0]
+      || info.positions.find((p) => p.default);
+  }
+  return match?.quantity || 1;
+}
+
 /**
  * Build search queries from selected parts + positions.
- * Returns an array of { query, label } for the results page.
+ * Returns an array of { query, label, quantity } for the results page;
+ * related parts take the same position when they have it (pads "both" →
+ * rotors "both" = 4).
  */
 export function buildSearchQueries(primaryPart, selectedPosition, selectedRelated) {
   const queries = [];
@@ -620,7 +649,11 @@ export function buildSearchQueries(primaryPart, selectedPosition, selectedRelate
     primaryQuery = `${posPrefix} ${primaryPart}`;
     primaryLabel = `${posPrefix} ${primaryPart}`;
   }
-  queries.push({ query: primaryQuery, label: primaryLabel });
+  queries.push({
+    query: primaryQuery,
+    label: primaryLabel,
+    quantity: getDefaultQuantity(primaryPart, selectedPosition || undefined),
+  });
 
   for (const related of selectedRelated) {
     let relQuery = related;
@@ -630,7 +663,12 @@ export function buildSearchQueries(primaryPart, selectedPosition, selectedRelate
         relQuery = `${simplePos} ${related}`;
       }
     }
-    queries.push({ query: relQuery, label: related });
+    const sharesPosition = getRelatedParts(related)?.positions?.some((p) => p.value === selectedPosition);
+    queries.push({
+      query: relQuery,
+      label: related,
+      quantity: sharesPosition ? getDefaultQuantity(related, selectedPosition) : getDefaultQuantity(relQuery),
+    });
   }
 
   return queries;
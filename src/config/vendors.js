@@ -0,0 +1,34 @@
+/**
+ * Vendor Configuration for Kanupi Shop Dashboard
+ *
+ * Search results name their source ('ebay', 'napa', ...); the dashboard
+ * shows the vendor name instead. Margin rules and vendor cost adjustments
+ * match on that display name, so ResultsPage (mapping), PreferencesPage
+ * (vendor and compound rules) and SettingsPage (cost adjustments) share
+ * this list.
+ */
+
+const SOURCE_TO_VENDOR = {
+  'ebay': 'eBay',
+  'amazon': 'Amazon',
+  'autozone': 'AutoZone Pro',
+  'oreilly': "O'Reilly Pro",
+  'napa': 'NAPA',
+  'advance': 'Advance Auto',
+  'rockauto': 'RockAuto',
+  'worldpac': 'WorldPac',
+};
+
+// Vendor names as they appear on results
+export const VENDOR_NAMES = ['WorldPac', 'NAPA', 'AutoZone Pro', "O'Reilly Pro", 'Advance Auto', 'RockAuto', 'eBay', 'Amazon'];
+
+/**
+ * Map a result's source key to its vendor display name. Unknown sources
+ * keep their own name; missing ones are eBay listings.
+ *
+ * @param {string} source - e.g. 'napa'
+ * @returns {string} e.g. 'NAPA'
+ */
+export function mapSourceToVendor(source) {
+  return SOURCE_TO_VENDOR[source?.toLowerCase()] || source || 'eBay';
+}
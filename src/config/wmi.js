@@ -0,0 +1,64 @@
+/**
+ * World Manufacturer Identifier (WMI) table for offline VIN decoding
+ *
+ * VIN positions 1–3 identify the manufacturer. Bundled so the dashboard
+ * can name the make before (or without) a round trip to the backend.
+ * Covers the makes a US independent shop sees day to day; unknown WMIs
+ * fall back to the region from position 1.
+ */
+
+export const WMI_MANUFACTURERS = {
+  // ── Domestic (GM / Ford / Stellantis / Tesla) ───────────────────
+  '1G1': 'Chevrolet', '1GC': 'Chevrolet Truck', '1GN': 'Chevrolet', '1GB': 'Chevrolet Truck',
+  '2G1': 'Chevrolet', '3G1': 'Chevrolet', '3GN': 'Chevrolet', '3GC': 'Chevrolet Truck', 'KL7': 'Chevrolet',
+  '1GT': 'GMC Truck', '1GK': 'GMC', '2GT': 'GMC Truck', '3GT': 'GMC Truck', '3GK': 'GMC',
+  '1G6': 'Cadillac', '1GY': 'Cadillac',
+  '1G4': 'Buick', '2G4': 'Buick', '5GA': 'Buick', 'KL4': 'Buick',
+  '1FA': 'Ford', '1FB': 'Ford', '1FC': 'Ford', '1FD': 'Ford Truck', '1FM': 'Ford', '1FT': 'Ford Truck',
+  '2FA': 'Ford', '2FM': 'Ford', '2FT': 'Ford Truck', '3FA': 'Ford', '3FM': 'Ford', '3FT': 'Ford Truck',
+  '1LN': 'Lincoln', '2LM': 'Lincoln', '5LM': 'Lincoln',
+  '1C3': 'Chrysler', '2C3': 'Chrysler', '2C4': 'Chrysler', '1C4': 'Jeep / Chrysler', '1J4': 'Jeep', '1J8': 'Jeep',
+  '1B3': 'Dodge', '1B7': 'Dodge Truck', '1D7': 'Dodge Truck', '2B3': 'Dodge', '2D3': 'Dodge', '3D7': 'Dodge Truck',
+  '1C6': 'Ram Truck', '3C6': 'Ram Truck', '3C4': 'Chrysler',
+  '5YJ': 'Tesla', '7SA': 'Tesla',
+
+  // ── Japan ───────────────────────────────────────────────────────
+  'JHM': 'Honda', 'JHL': 'Honda', '1HG': 'Honda', '2HG': 'Honda', '2HK': 'Honda', '5FN': 'Honda', '5J6': 'Honda',
+  'JH4': 'Acura', '19U': 'Acura', '5J8': 'Acura',
+  'JT2': 'Toyota', 'JT3': 'Toyota', 'JTD': 'Toyota', 'JTE': 'Toyota', 'JTM': 'Toyota', 'JTN': 'Toyota',
+  '4T1': 'Toyota', '4T3': 'Toyota', '4T4': 'Toyota', '5TD': 'Toyota', '5TF': 'Toyota Truck', '2T1': 'Toyota', '2T3': 'Toyota',
+  'JTH': 'Lexus', 'JTJ': 'Lexus', '2T2': 'Lexus', '58A': 'Lexus',
+  'JN1': 'Nissan', 'JN8': 'Nissan', '1N4': 'Nissan', '1N6': 'Nissan Truck', '3N1': 'Nissan', '5N1': 'Nissan',
+  'JNK': 'Infiniti', 'JNR': 'Infiniti', '5N3': 'Infiniti',
+  'JF1': 'Subaru', 'JF2': 'Subaru', '4S3': 'Subaru', '4S4': 'Subaru',
+  'JM1': 'Mazda', 'JM3': 'Mazda', '3MZ': 'Mazda', '3MV': 'Mazda',
+  'JA3': 'Mitsubishi', 'JA4': 'Mitsubishi', '4A3': 'Mitsubishi', '4A4': 'Mitsubishi',
+
+  // ── Korea ───────────────────────────────────────────────────────
+  'KMH': 'Hyundai', 'KM8': 'Hyundai', '5NP': 'Hyundai', '5NM': 'Hyundai', '5XY': 'Kia',
+  'KNA': 'Kia', 'KND': 'Kia', '3KP': 'Kia', 'KMT': 'Genesis',
+
+  // ── Europe ──────────────────────────────────────────────────────
+  'WBA': 'BMW', 'WBS': 'BMW M', 'WBX': 'BMW', '5UX': 'BMW', '5YM': 'BMW M', 'WMW': 'MINI',
+  'WDB': 'Mercedes-Benz', 'WDD': 'Mercedes-Benz', 'WDC': 'Mercedes-Benz', 'W1K': 'Mercedes-Benz', 'W1N': 'Mercedes-Benz',
+  '4JG': 'Mercedes-Benz', '55S': 'Mercedes-Benz', 'WD3': 'Mercedes-Benz Sprinter', 'W1Y': 'Mercedes-Benz Sprinter',
+  'WVW': 'Volkswagen', 'WVG': 'Volkswagen', '3VW': 'Volkswagen', '1VW': 'Volkswagen', 'WV1': 'Volkswagen Commercial', 'WV2': 'Volkswagen Commercial',
+  'WAU': 'Audi', 'WA1': 'Audi', 'WUA': 'Audi Sport',
+  'WP0': 'Porsche', 'WP1': 'Porsche',
+  'YV1': 'Volvo', 'YV4': 'Volvo', '7JR': 'Volvo', '7JD': 'Volvo',
+  'SAJ': 'Jaguar', 'SAL': 'Land Rover', 'SAD': 'Jaguar',
+  'ZFA': 'Fiat', '3C3': 'Fiat', 'ZAR': 'Alfa Romeo', 'ZFF': 'Ferrari', 'ZHW': 'Lamborghini', 'ZAM': 'Maserati',
+};
+
+// Fallback when the WMI isn't in the table — region from VIN position 1
+export const WMI_REGIONS = [
+  { chars: '12345', region: 'North America' },
+  { chars: '6', region: 'Australia' },
+  { chars: '7', region: 'North America / Oceania' },
+  { chars: '89', region: 'South America' },
+  { chars: 'ABCDEFGH', region: 'Africa' },
+  { chars: 'JKLMNPR', region: 'Asia' },
+  { chars: 'STUVWXYZ', region: 'Europe' },
+];
+
+export default WMI_MANUFACTURERS;
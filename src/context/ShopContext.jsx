@@ -6,13 +6,17 @@
  *   - Shop profile (name, branding, settings)
  *   - Margin rules (for list price calculations)
  *   - Brand preferences (pinned, excluded, tier overrides)
- *   - Vehicle context (current decoded vehicle)
+ *   - Vehicle context (current decoded vehicle + recent vehicles) — persisted per user
+ *   - Draft repair order (cart) — persisted per user across reloads
  * 
  * All child components access this via useShop() hook.
  */
 
-import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import supabase from '../utils/supabaseClient';
+import { storageKey, loadJSON, saveJSON } from '../utils/storage';
+import { EMPTY_CART, buildCartLine, addLineToCart } from '../utils/cart';
+import { getVehicleKey, addRecentVehicle } from '../utils/vehicle';
 
 const ShopContext = createContext(null);
 
@@ -43,6 +47,12 @@ export function ShopProvider({ children }) {
 
   // ── Vehicle context (current working vehicle) ───────────────────
   const [vehicle, setVehicle] = useState(null);
+  const [recentVehicles, setRecentVehicles] = useState([]);
+
+  // ── Draft repair order (cart) ───────────────────────────────────
+  const [cart, setCart] = useState(EMPTY_CART);
+  // Set by updateCart so the effect below saves user edits, not loads/resets
+  const cartDirty = useRef(false);
 
   // ── Auth listener ───────────────────────────────────────────────
   useEffect(() => {
@@ -66,10 +76,16 @@ export function ShopProvider({ children }) {
   useEffect(() => {
     if (user) {
       loadShopData(user.id);
+      setCart(loadJSON(storageKey('cart', user.id), EMPTY_CART));
+      setVehicle(loadJSON(storageKey('vehicle', user.id), null));
+      setRecentVehicles(loadJSON(storageKey('recent-vehicles', user.id), []));
     } else {
       setShop(null);
       setMarginRules([]);
       setBrandPreferences([]);
+      setCart(EMPTY_CART);
+      setVehicle(null);
+      setRecentVehicles([]);
     }
   }, [user]);
 
@@ -126,24 +142,101 @@ export function ShopProvider({ children }) {
     setMarginRules([]);
     setBrandPreferences([]);
     setVehicle(null);
+    setRecentVehicles([]);
+    setCart(EMPTY_CART);
   }, []);
 
   // ── Vehicle methods ─────────────────────────────────────────────
+  // Like the cart, storage is written only from these explicit actions.
   const setVehicleContext = useCallback((vehicleData) => {
     setVehicle(vehicleData);
-  }, []);
+    if (user) saveJSON(storageKey('vehicle', user.id), vehicleData);
+    if (!vehicleData) return;
+    setRecentVehicles((prev) => {
+      const next = addRecentVehicle(prev, vehicleData);
+      if (user) saveJSON(storageKey('recent-vehicles', user.id), next);
+      return next;
+    });
+  }, [user]);
 
+  // Clearing only drops the active vehicle — it stays in recents
   const clearVehicle = useCallback(() => {
     setVehicle(null);
+    if (user) saveJSON(storageKey('vehicle', user.id), null);
+  }, [user]);
+
+  const removeRecentVehicle = useCallback((vehicleKey) => {
+    setRecentVehicles((prev) => {
+      const next = prev.filter((v) => getVehicleKey(v) !== vehicleKey);
+      if (user) saveJSON(storageKey('recent-vehicles', user.id), next);
+      return next;
+    });
+  }, [user]);
+
+  // ── Cart methods ────────────────────────────────────────────────
+  // Every mutation goes through updateCart so the draft is written to
+  // storage exactly when it changes (never on load or sign-out). The write
+  // happens in an effect after the update — state updaters must stay pure
+  // (StrictMode runs them twice).
+  const updateCart = useCallback((updater) => {
+    cartDirty.current = true;
+    setCart(updater);
   }, []);
 
+  useEffect(() => {
+    if (!cartDirty.current) return;
+    cartDirty.current = false;
+    if (user) saveJSON(storageKey('cart', user.id), cart);
+  }, [cart, user]);
+
+  const addToCart = useCallback((part, vehicleData, quantity = 1) => {
+    updateCart((prev) => addLineToCart(prev, buildCartLine(part, vehicleData, quantity)));
+  }, [updateCart]);
+
+  const updateCartLine = useCallback((lineId, changes) => {
+    updateCart((prev) => ({
+      ...prev,
+      lines: prev.lines.map((l) => (l.lineId === lineId ? { ...l, ...changes } : l)),
+    }));
+  }, [updateCart]);
+
+  const removeFromCart = useCallback((lineId) => {
+    updateCart((prev) => ({ ...prev, lines: prev.lines.filter((l) => l.lineId !== lineId) }));
+  }, [updateCart]);
+
+  const setCartRoNumber = useCallback((vehicleKey, roNumber) => {
+    updateCart((prev) => ({ ...prev, roNumbers: { ...prev.roNumbers, [vehicleKey]: roNumber } }));
+  }, [updateCart]);
+
+  const setCartTaxExempt = useCallback((vehicleKey, exempt) => {
+    updateCart((prev) => ({ ...prev, taxExempt: { ...prev.taxExempt, [vehicleKey]: exempt } }));
+  }, [updateCart]);
+
+  const clearCartVehicle = useCallback((vehicleKey) => {
+    updateCart((prev) => {
+      const { [vehicleKey]: _removed, ...roNumbers } = prev.roNumbers;
+      const { [vehicleKey]: _exempt, ...taxExempt } = prev.taxExempt || {};
+      return { lines: prev.lines.filter((l) => l.vehicleKey !== vehicleKey), roNumbers, taxExempt };
+    });
+  }, [updateCart]);
+
   // ── Computed values ─────────────────────────────────────────────
   const isAuthenticated = !!user && !!shop;
   const isLoading = authLoading || shopLoading;
 
-  // Brand prefs by status for quick access
-  const pinnedBrands = brandPreferences.filter((b) => b.status === 'pinned').map((b) => b.brand_name);
-  const excludedBrands = brandPreferences.filter((b) => b.status === 'excluded').map((b) => b.brand_name);
+  // Brand prefs by status for quick access. Memoized: ResultsPage searches
+  // again whenever excludedBrands changes identity, and cart updates
+  // re-render this provider.
+  const pinnedBrands = useMemo(
+    () => brandPreferences.filter((b) => b.status === 'pinned').map((b) => b.brand_name),
+    [brandPreferences]
+  );
+  const excludedBrands = useMemo(
+    () => brandPreferences.filter((b) => b.status === 'excluded').map((b) => b.brand_name),
+    [brandPreferences]
+  );
+
+  const cartCount = cart.lines.reduce((sum, l) => sum + (l.quantity || 1), 0);
 
   /** @type {ShopContextValue} */
   const value = {
@@ -173,6 +266,18 @@ export function ShopProvider({ children }) {
     vehicle,
     setVehicleContext,
     clearVehicle,
+    recentVehicles,
+    removeRecentVehicle,
+
+    // Draft repair order
+    cart,
+    cartCount,
+    addToCart,
+    updateCartLine,
+    removeFromCart,
+    setCartRoNumber,
+    setCartTaxExempt,
+    clearCartVehicle,
 
     // Reload
     reloadShopData: () => user && loadShopData(user.id),
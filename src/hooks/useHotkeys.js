@@ -0,0 +1,74 @@
+/**
+ * useHotkeys — Single-key keyboard shortcuts for Kanupi Shop Dashboard
+ *
+ * Writers are keyboard-first, so pages bind plain keys (V, P, M, j/k, /)
+ * rather than chords. Shortcuts are ignored while the writer is typing in
+ * an input, textarea, select, or contenteditable, and when Ctrl/Cmd/Alt
+ * is held so browser shortcuts keep working. Enter is left alone on a
+ * focused button or link so it still clicks it.
+ *
+ * Usage:
+ *   useHotkeys({
+ *     v: () => setActivePanel('vehicle'),
+ *     '/': () => focusSmartFilter(),
+ *   });
+ */
+
+import { useEffect, useRef } from 'react';
+
+/**
+ * True when a keystroke on this element should be treated as typing.
+ *
+ * @param {EventTarget|null} el
+ * @returns {boolean}
+ */
+export function isTypingTarget(el) {
+  if (!el || !el.tagName) return false;
+  const tag = el.tagName.toLowerCase();
+  return tag === 'input' || tag === 'textarea' || tag === 'select' || el.isContentEditable;
+}
+
+/**
+ * True when Enter on this element should activate it (button, link,
+ * role="button") rather than fire a shortcut.
+ *
+ * @param {EventTarget|null} el
+ * @returns {boolean}
+ */
+export function isActivatableTarget(el) {
+  if (!el || !el.closest) return false;
+  return !!el.closest('button, a[href], [role="button"]');
+}
+
+/**
+ * Bind single-key shortcuts on window while the component is mounted.
+ *
+ * @param {Object<string, function(KeyboardEvent)>} bindings - Keyed by
+ *   KeyboardEvent.key, lowercased for letters (e.g. "j", "Enter", "/", "1").
+ *   A handler that returns false leaves the key to the browser.
+ * @param {boolean} [enabled=true] - Pass false to suspend (e.g. while a modal is open)
+ */
+export default function useHotkeys(bindings, enabled = true) {
+  // Latest bindings without re-subscribing on every render
+  const bindingsRef = useRef(bindings);
+  bindingsRef.current = bindings;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (isTypingTarget(e.target)) return;
+      if (e.key === 'Enter' && isActivatableTarget(e.target)) return;
+
+      const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+      const handler = bindingsRef.current[key];
+      if (!handler) return;
+
+      if (handler(e) !== false) e.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+}
@@ -0,0 +1,176 @@
+/**
+ * Draft Repair Order (cart) helpers for Kanupi Shop Dashboard
+ *
+ * A cart line is a snapshot of a search result at the moment it was added:
+ * price, brand, vendor, and the vehicle it was searched for. Lines are
+ * grouped by vehicle; each vehicle group is submitted as one repair order
+ * with a single RO number.
+ *
+ * State itself lives in ShopContext — these are pure functions.
+ */
+
+import { getVehicleKey } from './vehicle';
+
+// taxExempt: vehicleKey → true when that RO's customer doesn't pay sales tax
+export const EMPTY_CART = { lines: [], roNumbers: {}, taxExempt: {} };
+
+/**
+ * Cart line identity: the same part from the same vendor for the same
+ * vehicle is one line with a quantity, not two lines.
+ *
+ * @param {Object} part - Search result
+ * @param {Object|null} vehicle
+ * @returns {string}
+ */
+export function getCartLineId(part, vehicle) {
+  return `${getVehicleKey(vehicle)}:${part.brand}:${part.partNumber || part.id}:${part.vendor}`;
+}
+
+/**
+ * Build a cart line from an enriched search result.
+ *
+ * @param {Object} part - Result from enrichPartWithMargin()
+ * @param {Object|null} vehicle - Vehicle the part was searched for
+ * @param {number} [quantity=1]
+ * @returns {Object} Cart line
+ */
+export function buildCartLine(part, vehicle, quantity = 1) {
+  return {
+    lineId: getCartLineId(part, vehicle),
+    vehicleKey: getVehicleKey(vehicle),
+    vehicle: vehicle
+      ? {
+        year: vehicle.year || null,
+        make: vehicle.make || null,
+        model: vehicle.model || null,
+        trim: vehicle.trim || null,
+        engine: vehicle.engine || null,
+        vin: vehicle.vin || null,
+      }
+      : null,
+    partName: part.partName,
+    partNumber: part.partNumber || null,
+    brand: part.brand,
+    vendor: part.vendor,
+    partType: part.partType || null,
+    packQuantity: part.packQuantity || 1,
+    imageUrl: part.imageUrl || null,
+    sourceUrl: part.affiliateUrl || part.sourceUrl || null,
+    cost: part.cost,
+    vendorCost: part.vendorCost ?? part.cost,
+    shippingCost: part.shippingCost || 0,
+    coreCharge: part.coreCharge || 0,
+    listPrice: part.listPrice,
+    priceLevel: part.priceLevel?.name || null,
+    taxable: true,
+    quantity,
+    // Pair/set default from config/relatedParts — CartPage warns below it
+    suggestedQuantity: part.suggestedQuantity || 1,
+    addedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Add a line to the cart, merging quantity when the same part is already
+ * on the same vehicle's draft order.
+ *
+ * @param {Object} cart - { lines, roNumbers }
+ * @param {Object} line - From buildCartLine()
+ * @returns {Object} New cart
+ */
+export function addLineToCart(cart, line) {
+  const existing = cart.lines.find((l) => l.lineId === line.lineId);
+  if (existing) {
+    return {
+      ...cart,
+      lines: cart.lines.map((l) => (
+        l.lineId === line.lineId ? { ...l, quantity: l.quantity + line.quantity } : l
+      )),
+    };
+  }
+  return { ...cart, lines: [...cart.lines, line] };
+}
+
+/**
+ * Group cart lines by vehicle, preserving the order vehicles were added.
+ *
+ * @param {Array} lines - Cart lines
+ * @returns {Array<{vehicleKey: string, vehicle: Object|null, lines: Array}>}
+ */
+export function groupLinesByVehicle(lines) {
+  const groups = [];
+  for (const line of lines) {
+    let group = groups.find((g) => g.vehicleKey === line.vehicleKey);
+    if (!group) {
+      group = { vehicleKey: line.vehicleKey, vehicle: line.vehicle, lines: [] };
+      groups.push(group);
+    }
+    group.lines.push(line);
+  }
+  return groups;
+}
+
+/**
+ * Running totals for a set of lines (quantity-weighted).
+ *
+ * @param {Array} lines - Cart lines or order lines with { cost, listPrice, quantity }
+ * @returns {{ quantity: number, cost: number, list: number, margin: number, marginPct: number }}
+ */
+export function summarizeLines(lines) {
+  const totals = lines.reduce((acc, line) => {
+    const qty = line.quantity || 1;
+    acc.quantity += qty;
+    acc.cost += (line.cost || 0) * qty;
+    acc.list += (line.listPrice || 0) * qty;
+    return acc;
+  }, { quantity: 0, cost: 0, list: 0 });
+
+  const cost = Math.round(totals.cost * 100) / 100;
+  const list = Math.round(totals.list * 100) / 100;
+  const margin = Math.round((list - cost) * 100) / 100;
+  const marginPct = list > 0 ? Math.round((margin / list) * 1000) / 10 : 0;
+
+  return { quantity: totals.quantity, cost, list, margin, marginPct };
+}
+
+/**
+ * Generate a draft RO number when the writer doesn't supply one from
+ * their shop management system. Format: RO-YYMMDD-XXXX.
+ *
+ * @returns {string}
+ */
+export function generateRoNumber() {
+  const now = new Date();
+  const datePart = [now.getFullYear() % 100, now.getMonth() + 1, now.getDate()]
+    .map((n) => String(n).padStart(2, '0'))
+    .join('');
+  const suffix = Math.random().toString(36).slice(2, 6).toUpperCase();
+  return `RO-${datePart}-${suffix}`;
+}
+
+/**
+ * Map a cart line to the /api/b2b/orders line payload.
+ *
+ * @param {Object} line - Cart line
+ * @returns {Object}
+ */
+export function buildOrderLinePayload(line) {
+  return {
+    part_name: line.partName,
+    part_number: line.partNumber,
+    brand: line.brand,
+    vendor: line.vendor,
+    part_type: line.partType,
+    quantity: line.quantity,
+    pack_quantity: line.packQuantity || 1,
+    cost: line.cost,
+    vendor_cost: line.vendorCost ?? line.cost,
+    shipping_cost: line.shippingCost || 0,
+    core_charge: line.coreCharge || 0,
+    list_price: line.listPrice,
+    price_level: line.priceLevel || null,
+    taxable: line.taxable !== false,
+    source: line.vendor?.toLowerCase() === 'ebay' ? 'ebay' : 'other',
+    source_url: line.sourceUrl,
+  };
+}
@@ -2,59 +2,293 @@
  * Margin Calculator for Kanupi Shop Dashboard
  * 
  * Calculates list price from shop cost using the shop's margin rules.
- * Rule hierarchy (highest priority wins):
- *   1. Brand-specific rule (e.g., Bosch: 30%)
- *   2. Category-specific rule (e.g., brake parts: 35%)
- *   3. Global default (e.g., 40%)
+ * Rule hierarchy (most specific wins, then highest priority):
+ *   1. Compound rule — any combination of brand, category, vendor and
+ *      quality tier (e.g., Bosch ignition parts from WorldPac: 32%);
+ *      more matched conditions = more specific
+ *   2. Brand-specific rule (e.g., Bosch: 30%)
+ *   3. Vendor-specific rule (e.g., everything from eBay: 50%)
+ *   4. Category-specific rule (e.g., brake parts: 35%) — matched against the
+ *      part-type key and its parent subcategory/category from partCategories
+ *   5. Global default (e.g., 40%)
+ * Rules with `starts_at` / `ends_at` only apply inside that window, so
+ * seasonal promotions switch on and off by themselves.
  * 
- * Supports three markup types:
- *   - percentage: cost × (1 + markup/100)
+ * Supports four markup types:
+ *   - percentage: markup on cost — cost × (1 + markup/100)
+ *   - margin: target gross margin — cost / (1 − margin/100), so "40% GP"
+ *     on a $60 part lists at $100 and the dashboard reports 40.0%
  *   - fixed: cost + fixed amount
- *   - matrix: tiered percentages based on cost ranges
+ *   - matrix: tiered percentages based on cost ranges; each tier's `pct`
+ *     is a markup unless the tier sets `basis: 'margin'`
+ *
+ * Cost is the landed cost — part + shipping + core charge — adjusted for
+ * the vendor (a 5% NAPA rebate, a flat eBay handling fee; see
+ * applyVendorAdjustment()), so margins reflect what the shop really pays.
+ * Shipping is marked up with the part unless the rule sets
+ * `markup_shipping: false`; core deposits pass through at cost unless it
+ * sets `markup_core: true` — see splitLandedCost().
+ *
+ * After markup, in order:
+ *   1. The customer's price level (Fleet −10%, Wholesale at cost + 15%)
+ *      adjusts the price — see applyPriceLevel()
+ *   2. Guardrails (rule-level fields, else the shop's) keep the price
+ *      between a minimum profit and a ceiling — see applyGuardrails()
+ *   3. A price-ending policy (rule-level `price_rounding`, else the
+ *      shop's) turns $87.43 into $87.99 etc. — see applyPriceRounding()
+ *
+ * Prices are per listing. A listing sold as a pair or 4-pack carries
+ * `packQuantity`; enrichPartWithMargin() also reports per-unit cost, list
+ * and margin so a pair of rotors compares fairly with a single.
  * 
  * @module marginCalculator
  */
 
+import { getPartTypeLineage } from '../config/partCategories';
+
+/**
+ * Normalize a category string so 'brake_pads', 'Brake Pads' and 'brake-pads'
+ * compare equal.
+ */
+function normalizeCategory(str) {
+  return (str || '').toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Expand a part category into the names a category rule may use, most
+ * specific first. A leaf key like 'disc_brake_pad_front' expands to its
+ * part, subcategory ("pads" / "Brake Pads") and category ("brakes") levels;
+ * anything else is matched as-is.
+ *
+ * @param {string} category - Part-type key or free-text category
+ * @returns {Array<string[]>} One array of normalized names per level
+ */
+function getCategoryLevels(category) {
+  const lineage = getPartTypeLineage(category);
+  if (lineage.length === 0) return [[normalizeCategory(category)]];
+  return lineage.map((level) => [normalizeCategory(level.key), normalizeCategory(level.label)]);
+}
+
+// Used when the shop has no rules configured
+const FALLBACK_RULE = {
+  rule_type: 'global',
+  markup_type: 'percentage',
+  markup_value: 40,
+  priority: 0,
+};
+
+const LEVEL_NAMES = ['part type', 'subcategory', 'category'];
+
+export const QUALITY_TIER_LABELS = { best: 'Premium', better: 'Quality', good: 'Economy' };
+
+/**
+ * The conditions a rule imposes. Single-dimension rules keep their legacy
+ * meaning; compound rules combine whichever of brand, category, vendor and
+ * quality tier are set.
+ */
+function getRuleConditions(rule) {
+  switch (rule.rule_type) {
+    case 'brand': return { brand: rule.brand };
+    case 'category': return { category: rule.category };
+    case 'vendor': return { vendor: rule.vendor };
+    case 'global': return {};
+    case 'compound': {
+      const conditions = {};
+      if (rule.brand) conditions.brand = rule.brand;
+      if (rule.category) conditions.category = rule.category;
+      if (rule.vendor) conditions.vendor = rule.vendor;
+      if (rule.quality_tier) conditions.tier = rule.quality_tier;
+      return conditions;
+    }
+    default: return null;
+  }
+}
+
+/**
+ * Short human label for a rule, e.g. "Brand: Bosch" or "Bosch · ignition · WorldPac".
+ */
+export function describeRuleTarget(rule) {
+  if (rule.rule_type === 'brand') return `Brand: ${rule.brand}`;
+  if (rule.rule_type === 'category') return `Category: ${rule.category}`;
+  if (rule.rule_type === 'vendor') return `Vendor: ${rule.vendor}`;
+  if (rule.rule_type === 'compound') {
+    const parts = [rule.brand, rule.category, rule.vendor, QUALITY_TIER_LABELS[rule.quality_tier] || rule.quality_tier];
+    return parts.filter(Boolean).join(' · ') || 'Global';
+  }
+  return 'Global';
+}
+
+/**
+ * Where a rule sits on its schedule. Rules without `starts_at`/`ends_at`
+ * are always active; `ends_at` is exclusive.
+ *
+ * @param {Object} rule - Margin rule with optional starts_at / ends_at (ISO strings)
+ * @param {Date|string} [at=new Date()] - Moment to check
+ * @returns {'active'|'upcoming'|'expired'}
+ */
+export function getRuleSchedule(rule, at = new Date()) {
+  const now = new Date(at).getTime();
+  if (rule?.starts_at && new Date(rule.starts_at).getTime() > now) return 'upcoming';
+  if (rule?.ends_at && new Date(rule.ends_at).getTime() <= now) return 'expired';
+  return 'active';
+}
+
+function formatScheduleDate(iso) {
+  return new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Score how specifically a rule matches a part, or explain why it doesn't.
+ * More matched conditions always win; among equal counts brand outranks
+ * vendor, vendor outranks quality tier, and a part-type category outranks
+ * its subcategory and category — so single-dimension rules rank
+ * brand → vendor → category → global.
+ *
+ * @returns {{ score: number|null, match: string }} score null = no match
+ */
+function scoreRule(rule, { brand, vendor, tier, levels }) {
+  const conditions = getRuleConditions(rule);
+  if (!conditions) return { score: null, match: `unknown rule type "${rule.rule_type}"` };
+
+  const keys = Object.keys(conditions);
+  if (keys.length === 0) return { score: 0, match: 'applies to every part' };
+
+  let score = keys.length * 100;
+  const matched = [];
+  for (const key of keys) {
+    const wanted = conditions[key];
+    if (key === 'brand') {
+      if (!brand || wanted?.toLowerCase() !== brand.toLowerCase()) return { score: null, match: `brand isn't ${wanted}` };
+      score += 50;
+      matched.push('brand');
+    } else if (key === 'vendor') {
+      if (!vendor || wanted?.toLowerCase() !== vendor.toLowerCase()) return { score: null, match: `vendor isn't ${wanted}` };
+      score += 20;
+      matched.push('vendor');
+    } else if (key === 'tier') {
+      if (tier !== wanted) return { score: null, match: `tier isn't ${QUALITY_TIER_LABELS[wanted] || wanted}` };
+      score += 10;
+      matched.push('tier');
+    } else if (key === 'category') {
+      const level = levels.findIndex((names) => names.includes(normalizeCategory(wanted)));
+      if (level === -1) return { score: null, match: `not in ${wanted}` };
+      score += 6 - level * 2;
+      matched.push(levels.length > 1 ? LEVEL_NAMES[level] : 'category');
+    }
+  }
+
+  const match = matched.length === 1
+    ? `${matched[0]} matches`
+    : `${matched.slice(0, -1).join(', ')} and ${matched[matched.length - 1]} match`;
+  return { score, match };
+}
+
+/**
+ * Evaluate every margin rule against a part and explain the outcome.
+ * The most specific matching rule wins (see scoreRule); `priority` breaks
+ * ties between equally specific rules.
+ *
+ * @param {Object} params
+ * @param {string} params.brand - Part brand name
+ * @param {string} params.category - Part-type key or category
+ * @param {string} [params.vendor] - Vendor the part comes from (e.g. "WorldPac")
+ * @param {string} [params.tier] - Quality tier: 'best' | 'better' | 'good'
+ * @param {Date|string|null} [params.at=new Date()] - Only rules scheduled at this
+ *   moment apply; null ignores starts_at/ends_at entirely
+ * @param {Array} rules - Shop's margin rules
+ * @returns {{ rule: Object, reason: string, candidates: Array<{ rule, status, reason }> }}
+ *   status is 'winner', 'outranked' or 'no_match'
+ */
+export function traceMatchingRule({ brand, category, vendor, tier, at = new Date() }, rules) {
+  const sorted = [...(rules || [])].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  const part = { brand, vendor, tier, levels: category ? getCategoryLevels(category) : [] };
+
+  const evaluated = sorted.map((rule) => {
+    const schedule = at === null ? 'active' : getRuleSchedule(rule, at);
+    if (schedule === 'upcoming') return { rule, score: null, match: `scheduled — starts ${formatScheduleDate(rule.starts_at)}` };
+    if (schedule === 'expired') return { rule, score: null, match: `expired ${formatScheduleDate(rule.ends_at)}` };
+    return { rule, ...scoreRule(rule, part) };
+  });
+  const matching = evaluated.filter((e) => e.score != null);
+  // Sorted by priority already, so the first of equal scores wins the tie
+  const winner = matching.reduce((best, e) => (best && best.score >= e.score ? best : e), null);
+
+  const candidates = evaluated.map((e) => {
+    if (e === winner) return { rule: e.rule, status: 'winner', reason: e.match };
+    if (e.score == null) return { rule: e.rule, status: 'no_match', reason: e.match };
+    const why = e.score < winner.score
+      ? `${e.match}, but a more specific rule applies`
+      : `${e.match}, but lower priority (${e.rule.priority || 0} vs ${winner.rule.priority || 0})`;
+    return { rule: e.rule, status: 'outranked', reason: why };
+  });
+
+  if (!winner) {
+    return { rule: FALLBACK_RULE, reason: 'No rules configured — default 40% markup', candidates };
+  }
+
+  const tied = matching.filter((e) => e.score === winner.score).length;
+  const reason = tied > 1
+    ? `Most specific match (${winner.match}); highest priority of ${tied} equally specific rules`
+    : `Most specific match (${winner.match})`;
+  return { rule: winner.rule, reason, candidates };
+}
+
 /**
  * Find the best matching margin rule for a given part.
  * 
  * @param {Object} params
  * @param {string} params.brand - Part brand name (e.g., "Akebono")
- * @param {string} params.category - Part category (e.g., "brake_pads")
+ * @param {string} params.category - Part-type key (e.g., "disc_brake_pad_front") or category
+ * @param {string} [params.vendor] - Vendor (e.g., "WorldPac")
+ * @param {string} [params.tier] - Quality tier: 'best' | 'better' | 'good'
+ * @param {Date|string|null} [params.at] - Evaluation time for scheduled rules (default now)
  * @param {Array} rules - Shop's margin rules from b2b_margin_rules table
  * @returns {Object} The matching rule, or a default 40% rule if none found
  */
-export function findMatchingRule({ brand, category }, rules) {
-  const safeRules = rules || [];
-  const sorted = [...safeRules].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+export function findMatchingRule({ brand, category, vendor, tier, at }, rules) {
+  return traceMatchingRule({ brand, category, vendor, tier, at }, rules).rule;
+}
 
-  // Priority 1: Brand-specific match
-  if (brand) {
-    const brandRule = sorted.find(
-      (r) => r.rule_type === 'brand' && r.brand?.toLowerCase() === brand.toLowerCase()
-    );
-    if (brandRule) return brandRule;
-  }
+// Gross margin can't reach 100% — cap it so a typo can't produce an infinite price
+const MAX_MARGIN_PCT = 95;
 
-  // Priority 2: Category-specific match
-  if (category) {
-    const categoryRule = sorted.find(
-      (r) => r.rule_type === 'category' && r.category?.toLowerCase() === category.toLowerCase()
-    );
-    if (categoryRule) return categoryRule;
+/**
+ * Apply a percentage to cost as either a markup or a target gross margin.
+ *
+ * @param {number} cost - Shop cost
+ * @param {number} pct - Percentage (e.g. 40)
+ * @param {string} [basis='markup'] - 'markup' or 'margin'
+ * @returns {number} Unrounded list price
+ */
+function applyPercent(cost, pct, basis = 'markup') {
+  if (basis === 'margin') {
+    const margin = Math.min(Math.max(pct, 0), MAX_MARGIN_PCT);
+    return cost / (1 - margin / 100);
   }
+  return cost * (1 + pct / 100);
+}
 
-  // Priority 3: Global default
-  const globalRule = sorted.find((r) => r.rule_type === 'global');
-  if (globalRule) return globalRule;
+/**
+ * Convert a markup percentage to the gross margin it produces (40 → 28.6).
+ *
+ * @param {number} markupPct
+ * @returns {number} Margin percentage, rounded to 1 decimal
+ */
+export function markupToMargin(markupPct) {
+  if (!markupPct || markupPct <= -100) return 0;
+  return Math.round((markupPct / (100 + markupPct)) * 1000) / 10;
+}
 
-  // Fallback: 40% markup if no rules configured
-  return {
-    rule_type: 'global',
-    markup_type: 'percentage',
-    markup_value: 40,
-    priority: 0,
-  };
+/**
+ * Convert a gross margin percentage to the markup needed to hit it (40 → 66.7).
+ *
+ * @param {number} marginPct
+ * @returns {number} Markup percentage, rounded to 1 decimal
+ */
+export function marginToMarkup(marginPct) {
+  if (!marginPct) return 0;
+  const margin = Math.min(marginPct, MAX_MARGIN_PCT);
+  return Math.round((margin / (100 - margin)) * 1000) / 10;
 }
 
 /**
@@ -80,15 +314,454 @@ export function calculateListPrice(cost, rule) {
         return cost >= min && cost < max;
       });
       const pct = matchedTier?.pct ?? safeRule.markup_value ?? 40;
-      return Math.round(cost * (1 + pct / 100) * 100) / 100;
+      const basis = matchedTier?.basis || 'markup';
+      return Math.round(applyPercent(cost, pct, basis) * 100) / 100;
     }
 
+    case 'margin':
+      return Math.round(applyPercent(cost, safeRule.markup_value ?? 40, 'margin') * 100) / 100;
+
     case 'percentage':
     default:
       return Math.round(cost * (1 + (safeRule.markup_value || 40) / 100) * 100) / 100;
   }
 }
 
+/**
+ * The arithmetic behind calculateListPrice(), as a readable formula,
+ * e.g. "$62.45 × 1.40 (40% markup)" or "$60.00 ÷ 0.60 (40% GP)".
+ *
+ * @param {number} cost - Shop cost
+ * @param {Object} rule - Margin rule
+ * @returns {string}
+ */
+export function explainListPrice(cost, rule) {
+  const safeRule = rule || FALLBACK_RULE;
+  const money = (n) => `$${n.toFixed(2)}`;
+  const formula = (pct, basis) => (basis === 'margin'
+    ? `${money(cost)} ÷ ${(1 - Math.min(Math.max(pct, 0), MAX_MARGIN_PCT) / 100).toFixed(2)} (${pct}% GP)`
+    : `${money(cost)} × ${(1 + pct / 100).toFixed(2)} (${pct}% markup)`);
+
+  switch (safeRule.markup_type) {
+    case 'fixed':
+      return `${money(cost)} + ${money(safeRule.markup_value || 0)}`;
+    case 'matrix': {
+      const tier = (safeRule.matrix_rules || []).find((t) => cost >= (t.min ?? 0) && cost < (t.max ?? Infinity));
+      if (!tier) return `No matrix tier covers ${money(cost)} — base ${formula(safeRule.markup_value ?? 40, 'markup')}`;
+      const range = tier.max == null ? `${money(tier.min ?? 0)}+` : `${money(tier.min ?? 0)}–${money(tier.max)}`;
+      return `Tier ${range}: ${formula(tier.pct ?? safeRule.markup_value ?? 40, tier.basis || 'markup')}`;
+    }
+    case 'margin':
+      return formula(safeRule.markup_value ?? 40, 'margin');
+    case 'percentage':
+    default:
+      return formula(safeRule.markup_value || 40, 'markup');
+  }
+}
+
+/**
+ * Check matrix tiers for ranges that don't line up. Costs that fall in a
+ * gap get the rule's base `markup_value`; overlapping tiers resolve to
+ * whichever comes first in the list — both are almost always mistakes.
+ *
+ * @param {Array} tiers - Matrix tiers [{ min, max, pct, basis? }], max null = no upper bound
+ * @returns {Array<{ type: string, message: string, index: number|null }>}
+ *   Issues of type 'invalid', 'gap', 'overlap' or 'uncovered'; empty when clean.
+ *   `index` points into the original `tiers` array.
+ */
+export function validateMatrixTiers(tiers) {
+  const issues = [];
+  const safeTiers = (tiers || []).map((t, index) => ({ ...t, index, min: t.min ?? 0, max: t.max ?? Infinity }));
+  const money = (n) => `$${n.toFixed(2)}`;
+
+  safeTiers.forEach((t) => {
+    if (t.max <= t.min) {
+      issues.push({ type: 'invalid', message: `Tier ${t.index + 1}: max must be above min`, index: t.index });
+    }
+    if (t.pct == null || Number.isNaN(t.pct) || t.pct < 0) {
+      issues.push({ type: 'invalid', message: `Tier ${t.index + 1}: percentage is required`, index: t.index });
+    } else if (t.basis === 'margin' && t.pct > MAX_MARGIN_PCT) {
+      issues.push({ type: 'invalid', message: `Tier ${t.index + 1}: margin can't exceed ${MAX_MARGIN_PCT}%`, index: t.index });
+    }
+  });
+
+  const sorted = [...safeTiers].sort((a, b) => a.min - b.min);
+  if (sorted.length === 0) return issues;
+
+  if (sorted[0].min > 0) {
+    issues.push({ type: 'gap', message: `Costs $0.00–${money(sorted[0].min)} aren't covered by any tier`, index: sorted[0].index });
+  }
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = sorted[i - 1];
+    const curr = sorted[i];
+    if (curr.min > prev.max) {
+      issues.push({ type: 'gap', message: `Costs ${money(prev.max)}–${money(curr.min)} aren't covered by any tier`, index: curr.index });
+    } else if (curr.min < prev.max) {
+      issues.push({ type: 'overlap', message: `Tiers ${prev.index + 1} and ${curr.index + 1} overlap`, index: curr.index });
+    }
+  }
+  const top = sorted.reduce((max, t) => Math.max(max, t.max), 0);
+  if (top !== Infinity) {
+    issues.push({ type: 'uncovered', message: `Costs above ${money(top)} aren't covered — leave the last max blank for "and up"`, index: null });
+  }
+
+  return issues;
+}
+
+// ── Customer price levels ──────────────────────────────────────────
+
+export const PRICE_LEVEL_TYPES = [
+  { value: 'list_discount', label: '% off list' },
+  { value: 'cost_plus', label: 'Cost + %' },
+];
+
+/**
+ * Look up one of the shop's named price levels (shop.price_levels).
+ * No id, or an id that no longer exists, means the regular list price.
+ *
+ * @param {Object|null} shop - Shop profile
+ * @param {string|null} priceLevelId
+ * @returns {Object|null} { id, name, type, value }
+ */
+export function findPriceLevel(shop, priceLevelId) {
+  if (!priceLevelId) return null;
+  return (shop?.price_levels || []).find((level) => level.id === priceLevelId) || null;
+}
+
+/**
+ * Reprice for a customer price level: Fleet "10% off list" discounts the
+ * rule's price; Wholesale "cost + 15%" replaces the rule's markup. Either
+ * way only the marked-up part of the price changes — what the rule passes
+ * through at cost (a core deposit, unmarked shipping) stays at cost.
+ *
+ * @param {number} price - List price from the margin rule, pass-through included
+ * @param {number} markupBase - Cost the rule marked up (from splitLandedCost())
+ * @param {Object|null} level - From findPriceLevel()
+ * @param {number} [passThrough=0] - Cost the rule passed through unmarked
+ * @returns {number} Price for this customer, rounded to 2 decimals
+ */
+export function applyPriceLevel(price, markupBase, level, passThrough = 0) {
+  if (!level || !price) return price;
+  const value = Number(level.value) || 0;
+  const levelPrice = level.type === 'cost_plus'
+    ? markupBase * (1 + value / 100)
+    : (price - passThrough) * (1 - value / 100);
+  return Math.round((levelPrice + passThrough) * 100) / 100;
+}
+
+/**
+ * The level as a formula for the price trace, e.g. "Fleet: 10% off list".
+ */
+function describePriceLevel(level) {
+  return level.type === 'cost_plus'
+    ? `${level.name}: cost + ${level.value}%`
+    : `${level.name}: ${level.value}% off list`;
+}
+
+// ── Price endings ──────────────────────────────────────────────────
+
+export const PRICE_ROUNDING_OPTIONS = [
+  { value: 'none', label: 'Exact cents' },
+  { value: '99', label: 'Round up to .99' },
+  { value: '49_99', label: 'Nearest .49 / .99' },
+  { value: 'whole', label: 'Round up to whole dollar' },
+];
+
+/**
+ * Pull the shop-wide pricing settings enrichPartWithMargin() needs from
+ * the shop profile.
+ *
+ * @param {Object|null} shop - Shop profile from ShopContext
+ * @param {string|null} [priceLevelId] - Customer price level for the current vehicle
+ * @returns {Object} { priceLevel, vendorAdjustments, priceRounding, roundWholeDollarAbove, guardrails }
+ */
+export function getShopPricingOptions(shop, priceLevelId = null) {
+  return {
+    priceLevel: findPriceLevel(shop, priceLevelId),
+    vendorAdjustments: shop?.vendor_cost_adjustments || [],
+    priceRounding: shop?.price_rounding || 'none',
+    roundWholeDollarAbove: shop?.round_whole_dollar_above ?? null,
+    guardrails: {
+      minMarginDollars: shop?.min_margin_dollars ?? null,
+      minMarginPct: shop?.min_margin_pct ?? null,
+      maxMarginPct: shop?.max_margin_pct ?? null,
+      msrpCeilingPct: shop?.msrp_ceiling_pct ?? null,
+    },
+  };
+}
+
+/**
+ * Resolve which rounding policy applies: the rule's own, else the shop's.
+ *
+ * @param {Object} rule - Margin rule (price_rounding null/undefined = inherit)
+ * @param {Object} [options] - From getShopPricingOptions()
+ * @returns {{ ending: string, wholeDollarAbove: number|null, source: string }}
+ */
+export function resolvePriceRounding(rule, options = {}) {
+  if (rule?.price_rounding) {
+    return {
+      ending: rule.price_rounding,
+      wholeDollarAbove: rule.round_whole_dollar_above ?? options.roundWholeDollarAbove ?? null,
+      source: 'rule',
+    };
+  }
+  return {
+    ending: options.priceRounding || 'none',
+    wholeDollarAbove: options.roundWholeDollarAbove ?? null,
+    source: 'shop',
+  };
+}
+
+/**
+ * Apply a price-ending policy to a calculated list price. Works in whole
+ * cents to avoid float drift, and never rounds below the floor.
+ *
+ * @param {number} price - List price after markup
+ * @param {Object} policy - { ending, wholeDollarAbove } from resolvePriceRounding()
+ * @param {number} [floor=0] - Lowest allowed price for "nearest" rounding:
+ *   shop cost, or the guardrail floor when one applied
+ * @returns {number} Rounded list price
+ */
+export function applyPriceRounding(price, policy, floor = 0) {
+  if (!price || price <= 0 || !policy) return price;
+  const cents = Math.round(price * 100);
+  const dollars = Math.floor(cents / 100);
+  let rounded;
+
+  if (policy.wholeDollarAbove != null && price >= policy.wholeDollarAbove) {
+    rounded = Math.ceil(cents / 100) * 100;
+  } else {
+    switch (policy.ending) {
+      case '99':
+        rounded = dollars * 100 + 99;
+        break;
+      case '49_99': {
+        // Candidates ascending, so `<=` sends ties to the higher price
+        const candidates = [dollars * 100 - 1, dollars * 100 + 49, dollars * 100 + 99].filter((c) => c > 0);
+        const distance = (c) => Math.abs(c - cents);
+        rounded = candidates.reduce((best, c) => (distance(c) <= distance(best) ? c : best));
+        if (rounded < Math.round(floor * 100)) rounded += 50;
+        break;
+      }
+      case 'whole':
+        rounded = Math.ceil(cents / 100) * 100;
+        break;
+      case 'none':
+      default:
+        rounded = cents;
+    }
+  }
+
+  return rounded / 100;
+}
+
+// ── Guardrails ─────────────────────────────────────────────────────
+
+export const GUARDRAIL_LABELS = {
+  min_margin_dollars: 'Min profit $',
+  min_margin_pct: 'Min margin %',
+  max_margin_pct: 'Max margin %',
+  msrp_ceiling: 'MSRP ceiling',
+  cost_floor: 'Cost floor',
+};
+
+/**
+ * Resolve guardrails field by field: a value set on the rule wins,
+ * anything left blank falls back to the shop's.
+ *
+ * @param {Object} rule - Margin rule
+ * @param {Object} [options] - From getShopPricingOptions()
+ * @returns {{ minMarginDollars, minMarginPct, maxMarginPct, msrpCeilingPct }} Nulls when unset
+ */
+export function resolveGuardrails(rule, options = {}) {
+  const shop = options.guardrails || {};
+  return {
+    minMarginDollars: rule?.min_margin_dollars ?? shop.minMarginDollars ?? null,
+    minMarginPct: rule?.min_margin_pct ?? shop.minMarginPct ?? null,
+    maxMarginPct: rule?.max_margin_pct ?? shop.maxMarginPct ?? null,
+    msrpCeilingPct: rule?.msrp_ceiling_pct ?? shop.msrpCeilingPct ?? null,
+  };
+}
+
+/**
+ * Clamp a list price to the guardrails. Ceilings (max margin %, MSRP) are
+ * applied first and floors (cost, min profit $, min margin %) last, so a
+ * cheap part is never sold below cost or the shop's minimum profit even
+ * when a retailer lists it lower. A floor that overrides a ceiling is
+ * flagged with `conflict` (the ceiling's type) so the row can show that
+ * the ceiling couldn't be honored.
+ *
+ * @param {number} price - List price after markup
+ * @param {number} cost - Shop cost
+ * @param {Object} guardrails - From resolveGuardrails()
+ * @param {number|null} [retailPrice] - Supplied retail/MSRP price, if known
+ * @returns {{ price: number, floor: number, ceiling: number, adjustments: Array<{ type, from, to, conflict? }> }}
+ *   `floor` is the highest minimum (0 if none) and `ceiling` the lowest cap
+ *   that applied (Infinity if none), for re-checking after rounding
+ */
+export function applyGuardrails(price, cost, guardrails, retailPrice = null) {
+  const adjustments = [];
+  if (!price || !cost || cost <= 0 || !guardrails) return { price, floor: 0, ceiling: Infinity, adjustments };
+  const round = (n) => Math.round(n * 100) / 100;
+  let result = price;
+
+  const ceilings = [];
+  if (guardrails.maxMarginPct != null) {
+    ceilings.push({ type: 'max_margin_pct', value: round(applyPercent(cost, guardrails.maxMarginPct, 'margin')) });
+  }
+  if (guardrails.msrpCeilingPct != null && retailPrice > 0) {
+    ceilings.push({ type: 'msrp_ceiling', value: round(retailPrice * (guardrails.msrpCeilingPct / 100)) });
+  }
+  ceilings.forEach((c) => {
+    if (result > c.value) {
+      adjustments.push({ type: c.type, from: result, to: c.value });
+      result = c.value;
+    }
+  });
+
+  // Cost is always a floor — an MSRP ceiling must not sell at a loss
+  const floors = [{ type: 'cost_floor', value: round(cost) }];
+  if (guardrails.minMarginDollars != null) {
+    floors.push({ type: 'min_margin_dollars', value: round(cost + guardrails.minMarginDollars) });
+  }
+  if (guardrails.minMarginPct != null) {
+    floors.push({ type: 'min_margin_pct', value: round(applyPercent(cost, guardrails.minMarginPct, 'margin')) });
+  }
+  floors.forEach((f) => {
+    if (result < f.value) {
+      const overridden = adjustments.find((a) => a.to < f.value && ceilings.some((c) => c.type === a.type));
+      adjustments.push({
+        type: f.type,
+        from: result,
+        to: f.value,
+        ...(overridden ? { conflict: overridden.type } : {}),
+      });
+      result = f.value;
+    }
+  });
+
+  const floor = Math.max(0, ...floors.map((f) => f.value));
+  const ceiling = Math.min(Infinity, ...ceilings.map((c) => c.value));
+  return { price: result, floor, ceiling: Math.max(ceiling, floor), adjustments };
+}
+
+/**
+ * Short display string for a rule's markup, e.g. "40%", "40% GP", "$5", "Matrix".
+ *
+ * @param {Object} rule - Margin rule
+ * @returns {string}
+ */
+export function formatMarkup(rule) {
+  if (!rule) return '';
+  switch (rule.markup_type) {
+    case 'margin': return `${rule.markup_value}% GP`;
+    case 'fixed': return `$${rule.markup_value}`;
+    case 'matrix': return `Matrix (${(rule.matrix_rules || []).length} tiers)`;
+    case 'percentage':
+    default: return `${rule.markup_value}%`;
+  }
+}
+
+// ── Landed cost ────────────────────────────────────────────────────
+
+/**
+ * Break a part's cost into its landed-cost components. `cost` is always the
+ * landed total; `shippingCost` and `coreCharge` say how much of it is
+ * freight and refundable core deposit.
+ *
+ * @param {Object} part - { cost, shippingCost?, coreCharge? }
+ * @returns {{ part: number, shipping: number, core: number, total: number }}
+ */
+export function getLandedCost(part) {
+  const total = Number(part?.cost ?? part?.price) || 0;
+  const shipping = Math.max(Number(part?.shippingCost) || 0, 0);
+  const core = Math.max(Number(part?.coreCharge) || 0, 0);
+  return {
+    part: Math.max(Math.round((total - shipping - core) * 100) / 100, 0),
+    shipping,
+    core,
+    total,
+  };
+}
+
+/**
+ * Split landed cost into the amount the rule marks up and the amount that
+ * passes through at cost. Shipping is marked up by default (it always
+ * was, inside the vendor's total price); core deposits are not, since the
+ * shop gets them back when the old part is returned.
+ *
+ * @param {Object} landed - From getLandedCost()
+ * @param {Object} rule - Margin rule (`markup_shipping`, `markup_core`)
+ * @returns {{ markupBase: number, passThrough: number, markupShipping: boolean, markupCore: boolean }}
+ */
+export function splitLandedCost(landed, rule) {
+  const markupShipping = rule?.markup_shipping !== false;
+  const markupCore = rule?.markup_core === true;
+  const passThrough = (markupShipping ? 0 : landed.shipping) + (markupCore ? 0 : landed.core);
+  return {
+    markupBase: Math.round((landed.total - passThrough) * 100) / 100,
+    passThrough: Math.round(passThrough * 100) / 100,
+    markupShipping,
+    markupCore,
+  };
+}
+
+// ── Vendor cost adjustments ────────────────────────────────────────
+
+export const VENDOR_ADJUSTMENT_TYPES = [
+  { value: 'rebate_pct', label: '% rebate' },
+  { value: 'flat_fee', label: '$ fee per part' },
+];
+
+/**
+ * Look up the shop's cost adjustment for a vendor
+ * (shop.vendor_cost_adjustments), matched case-insensitively.
+ *
+ * @param {string} vendor - Vendor name from mapSourceToVendor()
+ * @param {Array} [adjustments] - [{ vendor, type, value, note }]
+ * @returns {Object|null}
+ */
+export function findVendorAdjustment(vendor, adjustments) {
+  if (!vendor || !adjustments?.length) return null;
+  const key = vendor.toLowerCase();
+  return adjustments.find((a) => a.vendor?.toLowerCase() === key && Number(a.value)) || null;
+}
+
+/**
+ * Apply a vendor cost adjustment to a landed cost. Rebates come off the
+ * part itself (not shipping or the core deposit); fees are added to it.
+ *
+ * @param {Object} landed - From getLandedCost()
+ * @param {Object|null} adjustment - From findVendorAdjustment()
+ * @returns {{ landed: Object, amount: number }} amount < 0 = cheaper than invoiced
+ */
+export function applyVendorAdjustment(landed, adjustment) {
+  if (!adjustment || landed.total <= 0) return { landed, amount: 0 };
+  const value = Number(adjustment.value) || 0;
+  const raw = adjustment.type === 'flat_fee' ? value : -landed.part * (value / 100);
+  const amount = Math.round(Math.max(raw, -landed.part) * 100) / 100;
+  return {
+    landed: {
+      ...landed,
+      part: Math.round((landed.part + amount) * 100) / 100,
+      total: Math.round((landed.total + amount) * 100) / 100,
+    },
+    amount,
+  };
+}
+
+/**
+ * The adjustment for the price trace, e.g. "NAPA year-end rebate (−5%)"
+ * or "eBay handling fee (+$3.00)".
+ */
+function describeVendorAdjustment(adjustment) {
+  const isFee = adjustment.type === 'flat_fee';
+  const label = `${adjustment.vendor} ${adjustment.note || (isFee ? 'fee' : 'rebate')}`;
+  return isFee
+    ? `${label} (+$${Number(adjustment.value).toFixed(2)})`
+    : `${label} (−${adjustment.value}%)`;
+}
+
 /**
  * Calculate margin amount (list price - cost).
  * 
@@ -120,18 +793,73 @@ export function calculateMarginPercent(cost, listPrice) {
  * @param {Object} part - Part object with at minimum { cost, brand }
  * @param {Array} rules - Shop's margin rules
  * @param {string} [category] - Optional part category for rule matching
- * @returns {Object} Part with added listPrice, margin, marginPct, appliedRule
+ * @param {Object} [options] - Shop-wide settings from getShopPricingOptions(),
+ *   plus optional `at` (evaluation time for scheduled rules; null ignores schedules)
+ * @returns {Object} Part with added listPrice, margin, marginPct, appliedRule,
+ *   landedCost, priceTrace and per-unit unitCost / unitListPrice / unitMargin;
+ *   `cost` becomes the vendor-adjusted cost and the invoiced cost moves to
+ *   `vendorCost`
  */
-export function enrichPartWithMargin(part, rules, category) {
+export function enrichPartWithMargin(part, rules, category, options = {}) {
   const safePart = part || {};
-  const cost = safePart.cost || safePart.price || 0;
-  const rule = findMatchingRule(
-    { brand: safePart.brand, category: category || safePart.partType },
+  const vendorCost = safePart.cost || safePart.price || 0;
+  const invoiced = getLandedCost({ ...safePart, cost: vendorCost });
+  const vendorAdjustment = findVendorAdjustment(safePart.vendor, options.vendorAdjustments);
+  const { landed, amount: adjustmentAmount } = applyVendorAdjustment(invoiced, vendorAdjustment);
+  const cost = landed.total;
+  const match = traceMatchingRule(
+    {
+      brand: safePart.brand,
+      category: category || safePart.partType,
+      vendor: safePart.vendor,
+      tier: safePart.tier,
+      at: options.at,
+    },
     rules
   );
-  const listPrice = calculateListPrice(cost, rule);
+  const { rule } = match;
+  const split = splitLandedCost(landed, rule);
+  const basePrice = calculateListPrice(split.markupBase, rule);
+  const markedUpPrice = basePrice > 0 ? Math.round((basePrice + split.passThrough) * 100) / 100 : 0;
+  const levelPrice = applyPriceLevel(markedUpPrice, split.markupBase, options.priceLevel, split.passThrough);
+  const guarded = applyGuardrails(levelPrice, cost, resolveGuardrails(rule, options), safePart.retailPrice);
+  const rounding = resolvePriceRounding(rule, options);
+  // Rounding down (49/99 "nearest") must not drop under cost or the
+  // min-profit / min-margin floor; rounding up must not push a capped price
+  // back over its ceiling
+  let listPrice = applyPriceRounding(guarded.price, rounding, Math.max(cost, guarded.floor));
+  if (listPrice < guarded.floor || listPrice > guarded.ceiling) listPrice = guarded.price;
+  // "Why this price?" — every step from cost to list, for the ResultRow popover
+  const passThroughLabel = [
+    !split.markupShipping && landed.shipping > 0 ? 'shipping' : null,
+    !split.markupCore && landed.core > 0 ? 'core' : null,
+  ].filter(Boolean).join(' + ');
+  const steps = [
+    ...(invoiced.shipping > 0 || invoiced.core > 0
+      ? [
+          { label: 'Part cost', value: invoiced.part },
+          ...(invoiced.shipping > 0 ? [{ label: '+ Shipping', value: invoiced.shipping }] : []),
+          ...(invoiced.core > 0 ? [{ label: '+ Core charge', value: invoiced.core }] : []),
+          { label: 'Landed cost', value: vendorCost },
+        ]
+      : [{ label: 'Shop cost', value: vendorCost }]),
+    ...(adjustmentAmount ? [{ label: describeVendorAdjustment(vendorAdjustment), value: cost }] : []),
+    { label: explainListPrice(split.markupBase, rule), value: basePrice },
+    ...(split.passThrough > 0 && basePrice > 0
+      ? [{ label: `+ ${passThroughLabel} at cost`, value: markedUpPrice }]
+      : []),
+    ...(options.priceLevel ? [{ label: describePriceLevel(options.priceLevel), value: levelPrice }] : []),
+    ...guarded.adjustments.map((a) => ({ label: GUARDRAIL_LABELS[a.type] || a.type, value: a.to })),
+  ];
+  if (listPrice !== guarded.price) {
+    const ending = PRICE_ROUNDING_OPTIONS.find((o) => o.value === rounding.ending)?.label || rounding.ending;
+    steps.push({ label: `${ending} (${rounding.source === 'rule' ? 'rule' : 'shop'} setting)`, value: listPrice });
+  }
+
   const margin = calculateMarginAmount(cost, listPrice);
   const marginPct = calculateMarginPercent(cost, listPrice);
+  const packQuantity = Math.max(1, Math.floor(safePart.packQuantity) || 1);
+  const perUnit = (amount) => Math.round((amount / packQuantity) * 100) / 100;
 
   return {
     ...safePart,
@@ -139,10 +867,32 @@ export function enrichPartWithMargin(part, rules, category) {
     listPrice,
     margin,
     marginPct,
+    packQuantity,
+    unitCost: perUnit(cost),
+    unitListPrice: perUnit(listPrice),
+    unitMargin: perUnit(margin),
     appliedRule: {
       type: rule.rule_type,
       value: rule.markup_value,
       markupType: rule.markup_type,
+      rounding: listPrice !== guarded.price
+        ? { ending: rounding.ending, source: rounding.source, from: guarded.price }
+        : null,
+      guardrails: guarded.adjustments,
+    },
+    vendorCost,
+    vendorAdjustment: adjustmentAmount
+      ? { ...vendorAdjustment, amount: adjustmentAmount }
+      : null,
+    landedCost: {
+      ...invoiced,
+      markedUp: { shipping: split.markupShipping, core: split.markupCore },
+    },
+    priceLevel: options.priceLevel ? { id: options.priceLevel.id, name: options.priceLevel.name } : null,
+    priceTrace: {
+      reason: match.reason,
+      candidates: match.candidates,
+      steps,
     },
   };
 }
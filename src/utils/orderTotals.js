@@ -0,0 +1,140 @@
+/**
+ * Order totals for Kanupi Shop Dashboard
+ *
+ * Turns a set of part lines into the total the customer actually pays:
+ *   1. Parts subtotal (list price × quantity) — from summarizeLines()
+ *   2. Shop supplies — a percentage of parts, optionally capped
+ *   3. Flat fees — battery core disposal, tire recycling, etc. A fee with a
+ *      category is charged per unit of matching parts (matched against the
+ *      part type and its subcategory/category); without one it's charged
+ *      once per order
+ *   4. Sales tax — shop.tax_rate on taxable parts, supplies and fees,
+ *      skipped entirely for tax-exempt customers
+ *
+ * Shared by CartPage (draft ROs) and EstimatePage (drafts and submitted
+ * orders) so the dashboard and the printed estimate always agree.
+ * Pure functions; settings come from the shop profile via
+ * getShopTotalsSettings().
+ */
+
+import { getPartTypeLineage } from '../config/partCategories';
+import { summarizeLines } from './cart';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const normalize = (str) => (str || '').toLowerCase().replace(/[_-]+/g, ' ').trim();
+
+/**
+ * Pull the totals settings from the shop profile.
+ *
+ * @param {Object|null} shop - Shop profile from ShopContext
+ * @returns {{ taxRate: number, suppliesPct: number, suppliesCap: number|null,
+ *   suppliesTaxable: boolean, fees: Array }}
+ */
+export function getShopTotalsSettings(shop) {
+  return {
+    taxRate: parseFloat(shop?.tax_rate) || 0,
+    suppliesPct: parseFloat(shop?.shop_supplies_pct) || 0,
+    suppliesCap: shop?.shop_supplies_cap ?? null,
+    suppliesTaxable: shop?.shop_supplies_taxable !== false,
+    fees: shop?.shop_fees || [],
+  };
+}
+
+/**
+ * Part lines are taxable unless marked otherwise (cart `taxable`, order
+ * row `taxable`).
+ */
+export function isLineTaxable(line) {
+  return line.taxable !== false;
+}
+
+/**
+ * Does a line's part type fall under a fee's category? Accepts a leaf key
+ * ('battery'), a subcategory or category key, or their labels.
+ */
+function lineMatchesCategory(line, category) {
+  const wanted = normalize(category);
+  if (normalize(line.partType) === wanted) return true;
+  return getPartTypeLineage(line.partType)
+    .some((level) => normalize(level.key) === wanted || normalize(level.label) === wanted);
+}
+
+/**
+ * Work out each configured fee for a set of lines.
+ *
+ * @param {Array} lines - Part lines with { partType, quantity }
+ * @param {Array} fees - [{ id, name, amount, taxable, category }]
+ * @returns {Array<{ id, name, quantity, amount, taxable }>} Only fees that apply
+ */
+export function calculateFees(lines, fees) {
+  if (lines.length === 0) return [];
+  return (fees || [])
+    .map((fee) => {
+      const unit = parseFloat(fee.amount) || 0;
+      const quantity = fee.category
+        ? lines.filter((l) => lineMatchesCategory(l, fee.category)).reduce((sum, l) => sum + (l.quantity || 1), 0)
+        : 1;
+      return {
+        id: fee.id,
+        name: fee.name,
+        quantity,
+        amount: round2(unit * quantity),
+        taxable: fee.taxable === true,
+      };
+    })
+    .filter((fee) => fee.quantity > 0 && fee.amount > 0);
+}
+
+/**
+ * Full customer-facing totals for one repair order.
+ *
+ * @param {Array} lines - Cart lines or mapped order rows ({ listPrice, cost, quantity, partType, taxable })
+ * @param {Object} settings - From getShopTotalsSettings()
+ * @param {Object} [options]
+ * @param {boolean} [options.taxExempt=false] - Customer doesn't pay sales tax
+ * @returns {{
+ *   parts: { quantity: number, cost: number, list: number, margin: number, marginPct: number },
+ *   supplies: number,
+ *   fees: Array<{ id, name, quantity, amount, taxable }>,
+ *   subtotal: number,
+ *   taxable: number,
+ *   taxRate: number,
+ *   tax: number,
+ *   taxExempt: boolean,
+ *   total: number
+ * }}
+ */
+export function calculateOrderTotals(lines, settings, { taxExempt = false } = {}) {
+  const safeLines = lines || [];
+  const parts = summarizeLines(safeLines);
+
+  let supplies = round2(parts.list * (settings.suppliesPct / 100));
+  if (settings.suppliesCap != null && supplies > settings.suppliesCap) supplies = round2(settings.suppliesCap);
+
+  const fees = calculateFees(safeLines, settings.fees);
+  const feeTotal = fees.reduce((sum, f) => sum + f.amount, 0);
+
+  const taxableParts = safeLines
+    .filter(isLineTaxable)
+    .reduce((sum, l) => sum + (l.listPrice || 0) * (l.quantity || 1), 0);
+  const taxable = round2(
+    taxableParts
+    + (settings.suppliesTaxable ? supplies : 0)
+    + fees.filter((f) => f.taxable).reduce((sum, f) => sum + f.amount, 0)
+  );
+  const tax = taxExempt ? 0 : round2(taxable * (settings.taxRate / 100));
+  const subtotal = round2(parts.list + supplies + feeTotal);
+
+  return {
+    parts,
+    supplies,
+    fees,
+    subtotal,
+    taxable,
+    taxRate: settings.taxRate,
+    tax,
+    taxExempt,
+    total: round2(subtotal + tax),
+  };
+}
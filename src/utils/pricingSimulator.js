@@ -0,0 +1,132 @@
+/**
+ * What-if pricing simulator for Kanupi Shop Dashboard
+ *
+ * Replays historical order lines through marginCalculator twice — once with
+ * the shop's current rules and once with a draft rule set — so an owner can
+ * see what a rule change would have done before saving it. Both sides are
+ * recalculated (rather than comparing against the price actually charged)
+ * so the difference isolates the rule change itself. The edited rule's
+ * own starts_at/ends_at are dropped from the draft, so a spring promotion
+ * previews as if it were running today.
+ *
+ * Pure functions; PricingSimulator.jsx fetches orders and renders results.
+ */
+
+import { enrichPartWithMargin } from './marginCalculator';
+
+// Cancelled lines never sold — they'd skew the averages
+const EXCLUDED_STATUSES = ['cancelled'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Map an order row from /api/b2b/orders to the part shape
+ * enrichPartWithMargin() expects.
+ *
+ * @param {Object} order - Order line row
+ * @returns {Object} { cost, shippingCost, coreCharge, brand, vendor, partType, tier }
+ */
+function orderToPart(order) {
+  return {
+    // Invoiced cost — the simulated shop settings apply vendor adjustments again
+    cost: Number(order.vendor_cost ?? order.cost) || 0,
+    shippingCost: Number(order.shipping_cost) || 0,
+    coreCharge: Number(order.core_charge) || 0,
+    brand: order.brand || '',
+    vendor: order.vendor || '',
+    partType: order.part_type || order.category || null,
+    tier: order.quality_tier || null,
+    retailPrice: order.msrp || null,
+  };
+}
+
+/**
+ * Replace or add one rule in a rule set — the usual way a draft is built
+ * from the rule being edited. The edited rule is made unscheduled so its
+ * impact shows even when it starts next month.
+ *
+ * @param {Array} rules - Current margin rules
+ * @param {Object} draftRule - Edited rule (no id, or id 'new', = added)
+ * @param {string|number|null} draftId - Id of the rule being edited
+ * @returns {Array} Draft rule set
+ */
+export function buildDraftRuleSet(rules, draftRule, draftId) {
+  if (!draftRule) return rules;
+  const previewRule = { ...draftRule, starts_at: null, ends_at: null };
+  if (!draftId || draftId === 'new') return [...rules, previewRule];
+  return rules.map((r) => (r.id === draftId ? { ...previewRule, id: draftId } : r));
+}
+
+/**
+ * Simulate a draft rule set against past order lines.
+ *
+ * @param {Array} orders - Order rows ({ cost, brand, vendor, part_type, quantity, status, ... })
+ * @param {Array} currentRules - Rules in effect today
+ * @param {Array} draftRules - Proposed rules
+ * @param {Object} [options] - Shop-wide settings from getShopPricingOptions()
+ * @param {number} [topN=8] - How many of the most-affected lines to return
+ * @returns {{
+ *   lineCount: number,
+ *   changedCount: number,
+ *   current: { list: number, profit: number, avgList: number, marginPct: number },
+ *   draft: { list: number, profit: number, avgList: number, marginPct: number },
+ *   delta: { list: number, profit: number, avgList: number, marginPct: number },
+ *   mostAffected: Array<{ order, currentList, draftList, delta }>
+ * }}
+ */
+export function simulateRuleSet(orders, currentRules, draftRules, options = {}, topN = 8) {
+  const lines = (orders || []).filter((o) => !EXCLUDED_STATUSES.includes(o.status) && Number(o.cost) > 0);
+  const totals = {
+    current: { list: 0, profit: 0, units: 0 },
+    draft: { list: 0, profit: 0, units: 0 },
+  };
+  const changes = [];
+
+  for (const order of lines) {
+    const part = orderToPart(order);
+    const qty = order.quantity || 1;
+    const current = enrichPartWithMargin(part, currentRules, part.partType, options);
+    const draft = enrichPartWithMargin(part, draftRules, part.partType, options);
+
+    totals.current.list += current.listPrice * qty;
+    totals.current.profit += current.margin * qty;
+    totals.draft.list += draft.listPrice * qty;
+    totals.draft.profit += draft.margin * qty;
+    totals.current.units += qty;
+    totals.draft.units += qty;
+
+    if (draft.listPrice !== current.listPrice) {
+      changes.push({
+        order,
+        currentList: current.listPrice,
+        draftList: draft.listPrice,
+        delta: round2((draft.listPrice - current.listPrice) * qty),
+      });
+    }
+  }
+
+  const summarize = (t) => ({
+    list: round2(t.list),
+    profit: round2(t.profit),
+    avgList: t.units > 0 ? round2(t.list / t.units) : 0,
+    marginPct: t.list > 0 ? Math.round((t.profit / t.list) * 1000) / 10 : 0,
+  });
+  const current = summarize(totals.current);
+  const draft = summarize(totals.draft);
+
+  return {
+    lineCount: lines.length,
+    changedCount: changes.length,
+    current,
+    draft,
+    delta: {
+      list: round2(draft.list - current.list),
+      profit: round2(draft.profit - current.profit),
+      avgList: round2(draft.avgList - current.avgList),
+      marginPct: Math.round((draft.marginPct - current.marginPct) * 10) / 10,
+    },
+    mostAffected: changes
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+      .slice(0, topN),
+  };
+}
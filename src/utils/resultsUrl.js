@@ -0,0 +1,38 @@
+/**
+ * Results-page URL builder for Kanupi Shop Dashboard
+ *
+ * DashboardHome (part grid, RelatedPartsDrawer, Marcus chat) and
+ * ResultsPage (Marcus parts review) all hand searches to /results. The
+ * params they write are the ones ResultsPage reads:
+ *   q, parts, labels (multi-part only), qty (whenever a query carries a
+ *   pair/set quantity — a lone "Brake Rotors" search still defaults to 2),
+ *   marcus_summary, year, make, model, vin
+ */
+
+/**
+ * Build the /results URL for one or more part queries.
+ *
+ * @param {Array<{query: string, label?: string, quantity?: number}>} queries
+ * @param {Object|null} vehicle - { year, make, model, vin }
+ * @param {string|null} [marcusSummary] - Marcus's diagnosis, shown as a banner
+ * @returns {string} e.g. "/results?q=brake+rotors&qty=[2]&year=2019&..."
+ */
+export function buildResultsUrl(queries, vehicle, marcusSummary = null) {
+  const params = new URLSearchParams();
+  params.set('q', queries[0].query);
+  if (queries.length > 1) {
+    params.set('parts', JSON.stringify(queries.map((q) => q.query)));
+    params.set('labels', JSON.stringify(queries.map((q) => q.label || q.query)));
+  }
+  if (queries.some((q) => q.quantity)) {
+    params.set('qty', JSON.stringify(queries.map((q) => q.quantity || null)));
+  }
+  if (marcusSummary) params.set('marcus_summary', marcusSummary);
+  if (vehicle) {
+    if (vehicle.year) params.set('year', vehicle.year);
+    if (vehicle.make) params.set('make', vehicle.make);
+    if (vehicle.model) params.set('model', vehicle.model);
+    if (vehicle.vin) params.set('vin', vehicle.vin);
+  }
+  return `/results?${params.toString()}`;
+}
@@ -0,0 +1,54 @@
+/**
+ * Browser storage helpers for Kanupi Shop Dashboard
+ *
+ * Namespaced JSON read/write for dashboard state that must survive route
+ * changes and reloads (e.g. the draft repair order). Keys are scoped per
+ * user so a shared counter computer doesn't mix writers' work.
+ *
+ * Storage failures (private mode, quota) are logged and swallowed — the
+ * dashboard keeps working with in-memory state.
+ */
+
+const KEY_PREFIX = 'kanupi-shop';
+
+/**
+ * Build a namespaced storage key.
+ *
+ * @param {string} name - State name (e.g., "cart")
+ * @param {string} userId - Supabase user ID
+ * @returns {string} e.g. "kanupi-shop:cart:6f1c…"
+ */
+export function storageKey(name, userId) {
+  return `${KEY_PREFIX}:${name}:${userId}`;
+}
+
+/**
+ * Read and parse a JSON value from localStorage.
+ *
+ * @param {string} key - Key from storageKey()
+ * @param {*} fallback - Returned when the key is missing or unreadable
+ * @returns {*}
+ */
+export function loadJSON(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (err) {
+    console.warn('[storage] Failed to read', key, err);
+    return fallback;
+  }
+}
+
+/**
+ * Serialize and write a JSON value to localStorage.
+ *
+ * @param {string} key - Key from storageKey()
+ * @param {*} value - Any JSON-serializable value
+ */
+export function saveJSON(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn('[storage] Failed to write', key, err);
+  }
+}
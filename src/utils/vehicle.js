@@ -0,0 +1,51 @@
+/**
+ * Vehicle helpers for Kanupi Shop Dashboard
+ *
+ * Vehicles reach the dashboard from VIN/plate decode, Y/M/M dropdowns, the
+ * quick-lookup text box, and results-page URL params. These helpers give
+ * them a stable identity and display label regardless of source.
+ */
+
+/**
+ * Stable key for grouping work by vehicle. VIN wins when present;
+ * otherwise year/make/model (plus trim when known).
+ *
+ * @param {Object|null} vehicle - { vin?, year, make, model, trim? }
+ * @returns {string} e.g. "1HGCV1F3XKA000000" or "2019|honda|accord|sport"
+ */
+export function getVehicleKey(vehicle) {
+  if (!vehicle) return 'no-vehicle';
+  if (vehicle.vin) return vehicle.vin.toUpperCase();
+  return [vehicle.year, vehicle.make, vehicle.model, vehicle.trim]
+    .filter(Boolean)
+    .map((v) => String(v).toLowerCase())
+    .join('|') || 'no-vehicle';
+}
+
+/**
+ * Human-readable vehicle label, e.g. "2019 Honda Accord Sport".
+ *
+ * @param {Object|null} vehicle
+ * @returns {string} Empty string when no vehicle
+ */
+export function formatVehicleLabel(vehicle) {
+  if (!vehicle) return '';
+  return [vehicle.year, vehicle.make, vehicle.model, vehicle.trim].filter(Boolean).join(' ');
+}
+
+// Counter staff juggle a handful of customers' cars; keep enough to cover a day
+export const MAX_RECENT_VEHICLES = 15;
+
+/**
+ * Put a vehicle at the front of the recent list, replacing any earlier
+ * entry for the same vehicle and capping the list length.
+ *
+ * @param {Array} recent - Recent vehicles, newest first
+ * @param {Object} vehicle - Vehicle just made active
+ * @returns {Array} New list, newest first
+ */
+export function addRecentVehicle(recent, vehicle) {
+  const key = getVehicleKey(vehicle);
+  const rest = recent.filter((v) => getVehicleKey(v) !== key);
+  return [{ ...vehicle, lastUsedAt: new Date().toISOString() }, ...rest].slice(0, MAX_RECENT_VEHICLES);
+}
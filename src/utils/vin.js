@@ -0,0 +1,180 @@
+/**
+ * Offline VIN validation and decoding for Kanupi Shop Dashboard
+ *
+ * Runs before API.vehicles.decodeVin so a mistyped VIN gets an inline
+ * "likely typo at position N" hint instead of a round trip that ends
+ * in "Vehicle not found".
+ *
+ *   - Check digit (position 9) per ISO 3779 / 49 CFR 565
+ *   - Model year from position 10 (30-year cycle, disambiguated by position 7)
+ *   - Manufacturer from the bundled WMI table (positions 1–3)
+ *
+ * Check digits are mandatory on North American VINs (position 1 = 1–5);
+ * other regions may legitimately fail, so callers treat those as advisory.
+ */
+
+import { WMI_MANUFACTURERS, WMI_REGIONS } from '../config/wmi';
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+
+const POSITION_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Position 10 codes in cycle order: A = 1980 / 2010 … 9 = 2009 / 2039
+const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+// Characters writers commonly misread off a door jamb or windshield tag
+const CONFUSABLE = {
+  0: ['D', '8'], 1: ['7', 'L', 'T'], 2: ['Z'], 3: ['8', 'B'], 4: ['A'], 5: ['S'], 6: ['G', 'B'],
+  7: ['1', 'T'], 8: ['B', '3', '0'], 9: ['G'],
+  A: ['4'], B: ['8', '3', '6'], C: ['G'], D: ['0'], E: ['F'], F: ['E'], G: ['6', 'C'], L: ['1'],
+  M: ['N'], N: ['M'], S: ['5'], T: ['7', '1'], U: ['V'], V: ['U', 'Y'], Y: ['V'], Z: ['2'],
+};
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+function charValue(ch) {
+  return /\d/.test(ch) ? Number(ch) : TRANSLITERATION[ch];
+}
+
+/**
+ * Compute the check digit a VIN should carry in position 9.
+ *
+ * @param {string} vin - 17-character VIN (upper-case, no I/O/Q)
+ * @returns {string} "0"–"9" or "X"
+ */
+export function computeCheckDigit(vin) {
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    sum += charValue(vin[i]) * POSITION_WEIGHTS[i];
+  }
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+/**
+ * @param {string} vin
+ * @returns {boolean} True when position 9 matches the computed check digit
+ */
+export function isValidCheckDigit(vin) {
+  return VIN_PATTERN.test(vin) && vin[8] === computeCheckDigit(vin);
+}
+
+/**
+ * Whether a corrected VIN still looks structurally real: a known
+ * manufacturer stays known, position 10 is a model-year code, and (for
+ * North American VINs) the plant serial in positions 13–17 stays numeric.
+ */
+function isPlausibleVin(candidate, original) {
+  if (WMI_MANUFACTURERS[original.slice(0, 3)] && !WMI_MANUFACTURERS[candidate.slice(0, 3)]) return false;
+  if (!MODEL_YEAR_CODES.includes(candidate[9])) return false;
+  if (/[1-5]/.test(candidate[0]) && /\D/.test(candidate.slice(12))) return false;
+  return true;
+}
+
+/**
+ * Find the most likely single typo behind a failed check digit: one
+ * confusable character (5↔S, 8↔B…), two swapped neighbours, or a
+ * misread check digit itself.
+ *
+ * A check digit can't pinpoint an error on its own, so this reports the
+ * positions where a plausible single fix exists — and gives up (null) when
+ * there are more than two, rather than guessing.
+ *
+ * @param {string} vin - 17-character VIN that fails the check digit
+ * @returns {{ positions: number[], suggestion: string|null }|null}
+ *   positions: 1-based, ascending (first position of a swapped pair);
+ *   suggestion: the corrected VIN when exactly one fix exists
+ */
+export function findLikelyTypo(vin) {
+  const fixes = [];
+  const tryFix = (candidate, position) => {
+    if (isValidCheckDigit(candidate) && isPlausibleVin(candidate, vin)) {
+      fixes.push({ position, suggestion: candidate });
+    }
+  };
+
+  for (let i = 0; i < 17; i++) {
+    if (i === 8) continue;
+    for (const alt of CONFUSABLE[vin[i]] || []) {
+      tryFix(vin.slice(0, i) + alt + vin.slice(i + 1), i + 1);
+    }
+  }
+
+  for (let i = 0; i < 16; i++) {
+    if (vin[i] === vin[i + 1] || i === 7 || i === 8) continue;
+    tryFix(vin.slice(0, i) + vin[i + 1] + vin[i] + vin.slice(i + 2), i + 1);
+  }
+
+  const expected = computeCheckDigit(vin);
+  if ((CONFUSABLE[vin[8]] || []).includes(expected)) {
+    fixes.push({ position: 9, suggestion: vin.slice(0, 8) + expected + vin.slice(9) });
+  }
+
+  const positions = [...new Set(fixes.map((f) => f.position))].sort((a, b) => a - b);
+  if (positions.length === 0 || positions.length > 2) return null;
+  return { positions, suggestion: fixes.length === 1 ? fixes[0].suggestion : null };
+}
+
+/**
+ * Decode the model year from position 10.
+ *
+ * For North American light vehicles a letter in position 7 means the
+ * 2010+ cycle; otherwise pick the latest cycle that isn't in the future.
+ *
+ * @param {string} vin
+ * @returns {number|null}
+ */
+export function decodeModelYear(vin) {
+  const idx = MODEL_YEAR_CODES.indexOf(vin[9]);
+  if (idx === -1) return null;
+
+  const early = 1980 + idx;
+  const late = 2010 + idx;
+  if (/[1-5]/.test(vin[0])) return /[A-Z]/.test(vin[6]) ? late : early;
+  return late <= new Date().getFullYear() + 1 ? late : early;
+}
+
+/**
+ * Look up the manufacturer (WMI table) and region (position 1).
+ *
+ * @param {string} vin
+ * @returns {{ manufacturer: string|null, region: string|null }}
+ */
+export function lookupManufacturer(vin) {
+  const manufacturer = WMI_MANUFACTURERS[vin.slice(0, 3)] || null;
+  const region = WMI_REGIONS.find((r) => r.chars.includes(vin[0]))?.region || null;
+  return { manufacturer, region };
+}
+
+/**
+ * Validate and decode a VIN entirely on the client.
+ *
+ * @param {string} vin - Raw input (case-insensitive)
+ * @returns {Object|null} null until 17 valid characters are entered:
+ *   {
+ *     vin, checkDigitValid, checkDigitRequired, expectedCheckDigit,
+ *     typo: { positions, suggestion } | null,
+ *     modelYear, manufacturer, region
+ *   }
+ */
+export function decodeVinLocally(vin) {
+  const normalized = (vin || '').toUpperCase();
+  if (!VIN_PATTERN.test(normalized)) return null;
+
+  const expectedCheckDigit = computeCheckDigit(normalized);
+  const checkDigitValid = normalized[8] === expectedCheckDigit;
+
+  return {
+    vin: normalized,
+    checkDigitValid,
+    checkDigitRequired: /[1-5]/.test(normalized[0]),
+    expectedCheckDigit,
+    typo: checkDigitValid ? null : findLikelyTypo(normalized),
+    modelYear: decodeModelYear(normalized),
+    ...lookupManufacturer(normalized),
+  };
+}